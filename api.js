@@ -0,0 +1,208 @@
+// api.js
+// ~~~~~~
+// Optional HTTP/REST and WebSocket API for a projector accessory.
+//
+// Lets other home automation (Node-RED, dashboards) control the projector
+// through the plugin, whose commands are serialized on its one connection,
+// instead of competing with it for the projector's single TCP connection.
+//
+//   GET  /status   the accessory's state as JSON
+//   POST /power    {"on": true}
+//   POST /lens     {"memory": 3}
+//   POST /raw      {"code": "PMPM01"}, or {"code": "PMPM", "length": 2}
+//                  for a reference, whose response is returned as "response"
+//   WS   /events   {"state": {...}} on connection, then {"key", "value"} for
+//                  each state change
+//
+// With a token, requests must carry "Authorization: Bearer <token>" or a
+// "token" query parameter.
+
+"use strict";
+const http = require("node:http");
+const { WebSocketServer } = require("ws");
+const Jvc = require("./jvc");
+
+const MAX_BODY = 64 * 1024;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+  }
+}
+
+// Power and Input values are shown by name
+const stringify = (value) =>
+  JSON.stringify(value, (key, v) =>
+    v instanceof Jvc.Power || v instanceof Jvc.Input ? `${v}` : v
+  );
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY) {
+        reject(new HttpError(413, "Request body too large"));
+        req.destroy();
+      }
+    });
+    req.on("end", () => {
+      let value;
+      try {
+        value = body ? JSON.parse(body) : {};
+      } catch (e) {
+        reject(new HttpError(400, `Invalid JSON: ${e.message}`));
+        return;
+      }
+      if (typeof value !== "object" || value === null || Array.isArray(value)) {
+        reject(new HttpError(400, "Expected a JSON object"));
+        return;
+      }
+      resolve(value);
+    });
+    req.on("error", reject);
+  });
+}
+
+class ApiServer {
+  #accessory;
+  #host;
+  #port;
+  #token;
+  #server;
+  #wss;
+
+  // accessory is a JvcDlaAccessory, or anything with the same state and
+  // command methods
+  constructor(accessory, { port, host = "127.0.0.1", token = undefined }) {
+    this.log = accessory.log;
+    this.#accessory = accessory;
+    this.#host = host;
+    this.#port = port;
+    this.#token = token;
+    this.#server = http.createServer((req, res) => this.#handle(req, res));
+    this.#wss = new WebSocketServer({ noServer: true });
+    this.#server.on("upgrade", (req, socket, head) =>
+      this.#upgrade(req, socket, head)
+    );
+    accessory.state.on("change", (key, value) => {
+      const message = stringify({ key, value });
+      this.#wss.clients.forEach((client) => client.send(message));
+    });
+  }
+
+  get port() {
+    return this.#server.address()?.port ?? this.#port;
+  }
+
+  listen() {
+    return new Promise((resolve, reject) => {
+      this.#server.once("error", reject);
+      this.#server.listen(this.#port, this.#host, () => {
+        this.#server.off("error", reject);
+        this.log.info(`API listening on ${this.#host}:${this.port}`);
+        resolve(this.port);
+      });
+    });
+  }
+
+  close() {
+    this.#wss.clients.forEach((client) => client.terminate());
+    return new Promise((resolve) => this.#server.close(() => resolve()));
+  }
+
+  #authorized(req, url) {
+    if (!this.#token) {
+      return true;
+    }
+    return (
+      req.headers.authorization === `Bearer ${this.#token}` ||
+      url.searchParams.get("token") === this.#token
+    );
+  }
+
+  #routes = {
+    "GET /status": async () => this.#accessory.state.toJSON(),
+
+    "POST /power": async ({ on }) => {
+      if (typeof on !== "boolean") {
+        throw new HttpError(400, "Expected {\"on\": true|false}");
+      }
+      return { ok: await this.#accessory.requestPower(on) };
+    },
+
+    "POST /lens": async ({ memory }) => {
+      // The lens memories of the accessory's model (all, if not known)
+      const count =
+        this.#accessory.capabilities?.lensMemories ??
+        Object.keys(Jvc.Operation.LensMemory).length;
+      if (!Number.isInteger(memory) || memory < 1 || memory > count) {
+        throw new HttpError(400, `Invalid memory: ${JSON.stringify(memory)}`);
+      }
+      return { ok: await this.#accessory.setLensMemory(memory) };
+    },
+
+    "POST /raw": async ({ code, length }) => {
+      if (typeof code !== "string") {
+        throw new HttpError(400, "Expected {\"code\": \"...\"}");
+      }
+      if (length === undefined) {
+        return { ok: await this.#accessory.sendRaw(code) };
+      }
+      const response = await this.#accessory.queryRaw(code, length);
+      return { ok: response !== undefined, response };
+    },
+  };
+
+  async #handle(req, res) {
+    const url = new URL(req.url, "http://localhost");
+    let status = 200;
+    let result;
+    try {
+      if (!this.#authorized(req, url)) {
+        throw new HttpError(401, "Unauthorized");
+      }
+      const route = this.#routes[`${req.method} ${url.pathname}`];
+      if (route === undefined) {
+        throw new HttpError(404, `Not found: ${req.method} ${url.pathname}`);
+      }
+      result = await route(req.method === "POST" ? await readJson(req) : {});
+      if (result.ok === false) {
+        status = 502; // the projector didn't accept the command
+      }
+    } catch (e) {
+      status = e instanceof HttpError ? e.status : 500;
+      result = { error: e.message };
+    }
+    // Status polls are only worth logging when debugging
+    const level = req.method === "POST" || status === 401 ? "info" : "debug";
+    this.log[level](`API ${req.method} ${url.pathname}: ${status}`);
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(stringify(result));
+  }
+
+  #upgrade(req, socket, head) {
+    const url = new URL(req.url, "http://localhost");
+    if (url.pathname !== "/events") {
+      socket.end("HTTP/1.1 404 Not Found\r\n\r\n");
+      return;
+    }
+    if (!this.#authorized(req, url)) {
+      socket.end("HTTP/1.1 401 Unauthorized\r\n\r\n");
+      return;
+    }
+    this.#wss.handleUpgrade(req, socket, head, (client) => {
+      // e.g. an invalid frame, which would otherwise crash Homebridge
+      client.on("error", (e) => {
+        this.log.debug(`API WebSocket error: ${e.message}`);
+        client.terminate();
+      });
+      client.send(stringify({ state: this.#accessory.state.toJSON() }));
+    });
+  }
+}
+
+module.exports = ApiServer;
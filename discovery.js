@@ -0,0 +1,139 @@
+// discovery.js
+// ~~~~~~~~~~~~
+// LAN discovery of JVC D-ILA projectors.
+//
+// Scans a subnet for hosts that greet a TCP connection to the projector
+// control port with PJ_OK, then identifies each one by its model code and
+// MAC address using the regular Jvc client.
+
+"use strict";
+const net = require("node:net");
+const os = require("node:os");
+const Jvc = require("./jvc");
+
+const PJ_OK = "PJ_OK";
+
+// Normalize a MAC address to 12 upper case hex digits
+const normalizeMac = (mac) => `${mac}`.replace(/[^0-9a-f]/gi, "").toUpperCase();
+
+const ipToInt = (ip) =>
+  ip.split(".").reduce((acc, octet) => (acc << 8) + parseInt(octet), 0) >>> 0;
+
+const intToIp = (n) =>
+  [24, 16, 8, 0].map((shift) => (n >>> shift) & 0xff).join(".");
+
+// Returns the host addresses of an IPv4 subnet in CIDR notation
+function hosts(subnet) {
+  const match = /^(\d+\.\d+\.\d+\.\d+)\/(\d+)$/.exec(subnet);
+  if (!match || !net.isIPv4(match[1])) {
+    throw new Error(`Invalid subnet: ${subnet}`);
+  }
+  const prefix = parseInt(match[2]);
+  if (prefix < 16 || prefix > 32) {
+    throw new Error(`Subnet prefix must be between /16 and /32: ${subnet}`);
+  }
+  const size = 2 ** (32 - prefix);
+  const network = (ipToInt(match[1]) & ~(size - 1)) >>> 0;
+  if (size <= 2) {
+    return Array.from({ length: size }, (_, i) => intToIp(network + i));
+  }
+  // Skip the network and broadcast addresses
+  return Array.from({ length: size - 2 }, (_, i) => intToIp(network + i + 1));
+}
+
+// Returns the /24 subnets of the machine's non-internal IPv4 interfaces
+function localSubnets() {
+  const subnets = Object.values(os.networkInterfaces())
+    .flat()
+    .filter((iface) => iface.family === "IPv4" && !iface.internal)
+    .map((iface) => `${intToIp(ipToInt(iface.address) & 0xffffff00)}/24`);
+  return [...new Set(subnets)];
+}
+
+// Resolves to true if the host greets a connection to port with PJ_OK
+function probe(host, port, timeout) {
+  return new Promise((resolve) => {
+    let received = "";
+    const sock = net.connect({ host, port });
+    const done = (result) => {
+      sock.destroy();
+      resolve(result);
+    };
+    sock.setTimeout(timeout, () => done(false));
+    sock.on("error", () => done(false));
+    sock.on("close", () => done(false));
+    sock.on("data", (data) => {
+      received += data.toString("latin1");
+      if (received.length >= PJ_OK.length) {
+        done(received.startsWith(PJ_OK));
+      }
+    });
+  });
+}
+
+async function identify(host, options) {
+  // Don't keep retrying a host that was just found listening. The options
+  // may hold undefined values (e.g. from an unset config key), which must
+  // not override these defaults.
+  const jvc = new Jvc({
+    ...options,
+    host,
+    retries: options.retries ?? 2,
+    connectDeadline: options.connectDeadline ?? 5 * 1000,
+  });
+  try {
+    return {
+      host,
+      port: jvc.port,
+      model: await jvc.getModelCode(),
+      mac: normalizeMac(await jvc.getMacAddress()),
+    };
+  } catch (e) {
+    // Most likely a password is required; report what we know
+    return { host, port: jvc.port, model: undefined, mac: undefined };
+  } finally {
+    jvc.disconnect();
+  }
+}
+
+// Scans the given subnets (default: the local /24 subnets) and resolves to
+// a list of { host, port, model, mac } for each projector found. The
+// remaining options (password, is_2024_model) are passed to Jvc so that
+// projectors requiring a password can be identified.
+async function scan({
+  subnet = undefined,
+  port = 20554,
+  timeout = 1000,
+  concurrency = 64,
+  ...options
+} = {}) {
+  const subnets = subnet ? [subnet] : localSubnets();
+  const queue = subnets.flatMap(hosts);
+  const found = [];
+  const worker = async () => {
+    while (queue.length) {
+      const host = queue.shift();
+      if (await probe(host, port, timeout)) {
+        found.push(host);
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: concurrency }, worker));
+
+  // Identify each projector found, in address order
+  const projectors = [];
+  for (const host of found.sort((a, b) => ipToInt(a) - ipToInt(b))) {
+    projectors.push(await identify(host, { ...options, port }));
+  }
+  return projectors;
+}
+
+// Scans for the projector with the given MAC address and resolves to its
+// { host, port, model, mac }, or undefined if it wasn't found.
+async function find(mac, options = {}) {
+  mac = normalizeMac(mac);
+  const projectors = await scan(options);
+  return projectors.find((projector) => projector.mac === mac);
+}
+
+module.exports = { scan, find, hosts, normalizeMac };
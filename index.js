@@ -1,6 +1,17 @@
 "use strict";
+const fs = require("node:fs");
+const path = require("node:path");
+const { isDeepStrictEqual } = require("node:util");
 const Jvc = require("./jvc");
-const { Mutex } = require("async-mutex");
+const Discovery = require("./discovery");
+const Models = require("./models");
+const ProjectorState = require("./state");
+const { TraceFile } = require("./trace");
+const ApiServer = require("./api");
+const MqttBridge = require("./mqtt");
+
+const PLUGIN_NAME = "homebridge-jvc-dla";
+const PLATFORM_NAME = "JvcDlaPlatform";
 
 let hap, Characteristic, Service;
 
@@ -9,29 +20,115 @@ module.exports = (api) => {
   Characteristic = hap.Characteristic;
   Service = hap.Service;
   api.registerAccessory("JvcDlaAccessory", JvcDlaAccessory);
+  api.registerPlatform(PLATFORM_NAME, JvcDlaPlatform);
+};
+
+const jvcOptions = (config) => ({
+  host: config.host,
+  port: config.port,
+  transport: config.transport,
+  path: config.serial_path,
+  baudRate: config.baud_rate,
+  password: config.password,
+  is_2024_model: config.is_2024_model,
+  retries: config.connect_retries,
+  connectDeadline:
+    config.connect_deadline === undefined
+      ? undefined
+      : config.connect_deadline * 1000,
+});
+
+// Only the LAN port can be searched for by MAC address and reports one
+const isLan = (config) => (config.transport ?? "lan") === "lan";
+
+// Formats an error followed by its chain of causes, one per line
+const describeError = (e) => {
+  const lines = [];
+  for (let error = e; error; error = error.cause) {
+    lines.push(
+      error instanceof Error ? `${error.name}: ${error.message}` : `${error}`
+    );
+  }
+  return lines.join("\n  caused by ");
 };
 
 class Information {
+  static #LIGHT_SOURCE_HOURS = "Light Source Hours";
+  static #LIGHT_SOURCE_HOURS_UUID = "58010A32-E2D0-4BD5-B23E-6350B333CB81";
+
   #values = {
     Model: "DLA",
     SerialNumber: "".padStart(12, "0"),
     FirmwareRevision: "0.0",
   };
-  constructor(accessory) {
+  #lightSourceHours = 0;
+  #warningHours;
+
+  constructor(accessory, warningHours) {
     this.log = accessory.log;
+    this.#warningHours = warningHours;
 
-    this.service = new Service.AccessoryInformation(accessory.name);
+    this.service = accessory.addService(
+      Service.AccessoryInformation,
+      accessory.name
+    );
     this.service.setCharacteristic(Characteristic.Manufacturer, "JVC");
 
     Object.keys(this.#values).forEach((key) => {
       this.service.getCharacteristic(Characteristic[key]).onGet(async () => {
         const value = this.#values[key];
-        this.log.info(`Get Information.${key}: ${value}`);
+        this.log.debug(`Get Information.${key}: ${value}`);
         return value;
       });
 
       this[`update${key}`] = (value) => this.#update(key, value);
     });
+
+    const { state } = accessory;
+    state.on("model", (model) => this.updateModel(model));
+    state.on("mac", (mac) => this.updateSerialNumber(mac));
+    state.on("softwareVersion", (version) =>
+      this.updateFirmwareRevision(version)
+    );
+    state.on("lightSourceHours", (hours) => this.updateLightSourceHours(hours));
+
+    // Custom characteristic, shown by third-party apps such as Eve
+    const lightSourceHours =
+      this.service.getCharacteristic(Information.#LIGHT_SOURCE_HOURS) ??
+      this.service.addCharacteristic(
+        new Characteristic(
+          Information.#LIGHT_SOURCE_HOURS,
+          Information.#LIGHT_SOURCE_HOURS_UUID,
+          {
+            format: hap.Formats.UINT32,
+            perms: [hap.Perms.PAIRED_READ, hap.Perms.NOTIFY],
+          }
+        )
+      );
+    lightSourceHours.onGet(async () => {
+      const value = this.#lightSourceHours;
+      this.log.debug(`Get Information.LightSourceHours: ${value}`);
+      return value;
+    });
+  }
+
+  updateLightSourceHours(hours) {
+    if (!Number.isInteger(hours) || hours === this.#lightSourceHours) {
+      return;
+    }
+    const previous = this.#lightSourceHours;
+    this.#lightSourceHours = hours;
+    this.log.info(`Update Information.LightSourceHours to: ${hours}`);
+    this.service
+      .getCharacteristic(Information.#LIGHT_SOURCE_HOURS)
+      .updateValue(hours);
+    const warningHours = this.#warningHours;
+    if (warningHours && hours >= warningHours && previous < warningHours) {
+      this.log.warn(
+        `Light source has ${hours} hours, ` +
+          `past the replacement threshold of ${warningHours} hours`
+      );
+    }
   }
 
   #update(key, value) {
@@ -43,44 +140,1020 @@ class Information {
   }
 }
 
+// Whether the projector is, or is going to be, on. A pending power request
+// (see JvcDlaAccessory.requestPower) wins; otherwise warming counts as on and
+// cooling as off.
+const isTargetOn = (power, pending) =>
+  pending ?? (power.isWarming || power.isOn);
+
 class PowerSwitch {
   #power = Jvc.Power.Off;
+  #pending;
 
   constructor(accessory) {
     this.log = accessory.log;
-    this.service = new Service.Switch(`${accessory.name} PowerSwitch`);
+    this.service = accessory.addService(
+      Service.Switch,
+      `${accessory.name} PowerSwitch`
+    );
     this.service
       .getCharacteristic(Characteristic.On)
       .onGet(async () => {
-        const value = this.#power.isWarming || this.#power.isOn;
-        this.log.info(`Get Power.On: ${value}`);
+        const value = isTargetOn(this.#power, this.#pending);
+        this.log.debug(`Get Power.On: ${value}`);
         return value;
       })
       .onSet(async (on) => {
-        const logMessage = `Set Power.On to: ${on}`;
-        if (on && !this.#power.isOff) {
-          this.log.info(`${logMessage}, projector not off`);
+        this.log.info(`Set Power.On to: ${on}`);
+        await accessory.requestPower(on);
+      });
+
+    const { state } = accessory;
+    const updatePower = () =>
+      this.updatePower(state.get("power"), state.get("pendingPower"));
+    state.on("power", updatePower).on("pendingPower", updatePower);
+  }
+
+  updatePower(power, pending) {
+    if (power && (power !== this.#power || pending !== this.#pending)) {
+      const previous = isTargetOn(this.#power, this.#pending);
+      this.#power = power;
+      this.#pending = pending;
+      const value = isTargetOn(power, pending);
+      if (value !== previous) {
+        this.log.info(`Update PowerSwitch.On to: ${value}`);
+      }
+      this.service.getCharacteristic(Characteristic.On).updateValue(value);
+    }
+  }
+}
+
+// Turns the projector off once the sleep timer, started with its switch,
+// runs out, once it has been on for auto_off_after minutes, or once it has
+// had no source signal for auto_off_no_signal minutes. The accessory checks
+// due() after each poll, so the projector turns off up to a poll late.
+class AutoOff {
+  #sleepDelay;
+  #onDelay;
+  #noSignalDelay;
+  #onSince; // when the projector turned on
+  #noSignalSince; // when the source signal went away, while on
+  #sleepUntil; // when the sleep timer runs out, while it runs
+
+  constructor(accessory, { sleep_timer, auto_off_after, auto_off_no_signal }) {
+    this.log = accessory.log;
+    const delay = (minutes) =>
+      Number.isFinite(minutes) && minutes > 0 ? minutes * 60 * 1000 : undefined;
+    this.#sleepDelay = delay(sleep_timer);
+    this.#onDelay = delay(auto_off_after);
+    this.#noSignalDelay = delay(auto_off_no_signal);
+
+    if (this.#sleepDelay) {
+      this.service = accessory.addService(
+        Service.Switch,
+        `${accessory.name} Sleep Timer`,
+        "sleep-timer"
+      );
+      this.service
+        .getCharacteristic(Characteristic.On)
+        .onGet(async () => {
+          const value = this.#sleepUntil !== undefined;
+          this.log.debug(`Get SleepTimer.On: ${value}`);
+          return value;
+        })
+        .onSet(async (on) => {
+          const logMessage = `Set SleepTimer.On to: ${on}`;
+          if (on && !accessory.power.isOn) {
+            this.log.info(`${logMessage}, projector not on`);
+            this.service
+              .getCharacteristic(Characteristic.On)
+              .updateValue(false);
+            return;
+          }
+          this.log.info(logMessage);
+          this.#updateSleepUntil(
+            on ? Date.now() + this.#sleepDelay : undefined
+          );
+        });
+    }
+
+    const { state } = accessory;
+    state.on("power", (power) => {
+      if (power.isOn) {
+        this.#onSince = Date.now();
+        this.#noSignalSince = state.get("sourceSignal")
+          ? undefined
+          : Date.now();
+      } else {
+        this.#onSince = this.#noSignalSince = undefined;
+        this.#updateSleepUntil(undefined);
+      }
+    });
+    state.on("sourceSignal", (signal) => {
+      if (accessory.power.isOn) {
+        this.#noSignalSince = signal ? undefined : Date.now();
+      }
+    });
+  }
+
+  get services() {
+    return this.service ? [this.service] : [];
+  }
+
+  // Whether the accessory needs to read the source signal
+  get needsSignal() {
+    return this.#noSignalDelay !== undefined;
+  }
+
+  // Returns why the projector is due to be turned off, if it is
+  due(now = Date.now()) {
+    const minutes = (ms) => `${ms / 60 / 1000} minutes`;
+    const expired = (since, delay) =>
+      since !== undefined && delay !== undefined && now - since >= delay;
+    if (this.#sleepUntil !== undefined && now >= this.#sleepUntil) {
+      return "sleep timer ran out";
+    }
+    if (expired(this.#onSince, this.#onDelay)) {
+      return `on for ${minutes(this.#onDelay)}`;
+    }
+    if (expired(this.#noSignalSince, this.#noSignalDelay)) {
+      return `no signal for ${minutes(this.#noSignalDelay)}`;
+    }
+    return undefined;
+  }
+
+  #updateSleepUntil(time) {
+    if (time !== this.#sleepUntil) {
+      this.#sleepUntil = time;
+      const value = time !== undefined;
+      const until = value
+        ? ` (until ${new Date(time).toLocaleTimeString()})`
+        : "";
+      this.log.info(`Update SleepTimer.On to: ${value}${until}`);
+      this.service?.getCharacteristic(Characteristic.On).updateValue(value);
+    }
+  }
+}
+
+class Television {
+  static #INPUTS = [Jvc.Input.HDMI1, Jvc.Input.HDMI2];
+  // Maps Characteristic.RemoteKey names to Jvc.Operation.RemoteKey names
+  static #REMOTE_KEYS = {
+    ARROW_UP: "Up",
+    ARROW_DOWN: "Down",
+    ARROW_LEFT: "Left",
+    ARROW_RIGHT: "Right",
+    SELECT: "OK",
+    BACK: "Back",
+    EXIT: "Back",
+    INFORMATION: "Menu",
+  };
+
+  #power = Jvc.Power.Off;
+  #pending;
+  #input = Jvc.Input.HDMI1;
+
+  constructor(accessory) {
+    this.log = accessory.log;
+    this.service = accessory.addService(Service.Television, accessory.name);
+    this.service
+      .setCharacteristic(Characteristic.ConfiguredName, accessory.name)
+      .setCharacteristic(
+        Characteristic.SleepDiscoveryMode,
+        Characteristic.SleepDiscoveryMode.ALWAYS_DISCOVERABLE
+      );
+
+    this.service
+      .getCharacteristic(Characteristic.Active)
+      .onGet(async () => {
+        const value = this.#active;
+        this.log.debug(`Get Television.Active: ${value}`);
+        return value;
+      })
+      .onSet(async (active) => {
+        this.log.info(`Set Television.Active to: ${active}`);
+        await accessory.requestPower(active === Characteristic.Active.ACTIVE);
+      });
+
+    // Warming up and cooling down are shown as loading
+    this.service
+      .getCharacteristic(Characteristic.CurrentMediaState)
+      .onGet(async () => {
+        const value = this.#mediaState;
+        this.log.debug(`Get Television.CurrentMediaState: ${value}`);
+        return value;
+      });
+
+    this.service
+      .getCharacteristic(Characteristic.ActiveIdentifier)
+      .onGet(async () => {
+        const value = this.#identifier;
+        this.log.debug(`Get Television.ActiveIdentifier: ${value}`);
+        return value;
+      })
+      .onSet(async (identifier) => {
+        const input = Television.#INPUTS[identifier - 1];
+        const logMessage = `Set Television.ActiveIdentifier to: ${identifier} (${input})`;
+        if (!input) {
+          this.log.info(`${logMessage}, unknown input`);
           return;
         }
-        if (!on && !this.#power.isOn) {
+        if (!this.#power.isOn) {
           this.log.info(`${logMessage}, projector not on`);
+          this.service
+            .getCharacteristic(Characteristic.ActiveIdentifier)
+            .updateValue(this.#identifier);
+          return;
+        }
+        if (input === this.#input) {
+          this.log.info(`${logMessage}, input already selected`);
           return;
         }
         this.log.info(logMessage);
-        await accessory.setPower(on);
+        await accessory.setInput(input);
       });
+
+    this.service
+      .getCharacteristic(Characteristic.RemoteKey)
+      .onSet(async (remoteKey) => {
+        const name = Object.keys(Characteristic.RemoteKey).find(
+          (name) => Characteristic.RemoteKey[name] === remoteKey
+        );
+        const key = Television.#REMOTE_KEYS[name];
+        const logMessage = `Set Television.RemoteKey to: ${remoteKey} (${name})`;
+        if (key === undefined) {
+          this.log.info(`${logMessage}, unsupported key`);
+          return;
+        }
+        if (!this.#power.isOn) {
+          this.log.info(`${logMessage}, projector not on`);
+          return;
+        }
+        this.log.info(logMessage);
+        await accessory.pressKey(key);
+      });
+
+    // "View TV Settings" in the Home app opens the projector menu
+    this.service
+      .getCharacteristic(Characteristic.PowerModeSelection)
+      .onSet(async () => {
+        const logMessage = "Set Television.PowerModeSelection";
+        if (!this.#power.isOn) {
+          this.log.info(`${logMessage}, projector not on`);
+          return;
+        }
+        this.log.info(logMessage);
+        await accessory.pressKey("Menu");
+      });
+
+    this.inputServices = Television.#INPUTS.map((input, index) => {
+      const service = accessory.addService(
+        Service.InputSource,
+        `${accessory.name} ${input}`,
+        input.name
+      );
+      service
+        .setCharacteristic(Characteristic.Identifier, index + 1)
+        .setCharacteristic(Characteristic.ConfiguredName, `${input}`)
+        .setCharacteristic(
+          Characteristic.IsConfigured,
+          Characteristic.IsConfigured.CONFIGURED
+        )
+        .setCharacteristic(
+          Characteristic.InputSourceType,
+          Characteristic.InputSourceType.HDMI
+        )
+        .setCharacteristic(
+          Characteristic.CurrentVisibilityState,
+          Characteristic.CurrentVisibilityState.SHOWN
+        );
+      this.service.addLinkedService(service);
+      return service;
+    });
+
+    const { state } = accessory;
+    const updatePower = () =>
+      this.updatePower(state.get("power"), state.get("pendingPower"));
+    state.on("power", updatePower).on("pendingPower", updatePower);
+    state.on("input", (input) => this.updateInput(input));
   }
 
-  get power() {
-    return this.#power;
+  get #active() {
+    return isTargetOn(this.#power, this.#pending)
+      ? Characteristic.Active.ACTIVE
+      : Characteristic.Active.INACTIVE;
+  }
+
+  get #mediaState() {
+    if (this.#power.isWarming || this.#power.isCooling) {
+      return Characteristic.CurrentMediaState.LOADING;
+    }
+    if (this.#power.isEmergency) {
+      return Characteristic.CurrentMediaState.INTERRUPTED;
+    }
+    return Characteristic.CurrentMediaState.STOP;
+  }
+
+  get #identifier() {
+    return Television.#INPUTS.indexOf(this.#input) + 1;
   }
 
-  updatePower(power) {
-    if (power && power !== this.#power) {
+  updatePower(power, pending) {
+    if (power && (power !== this.#power || pending !== this.#pending)) {
+      const [previousActive, previousMediaState] = [
+        this.#active,
+        this.#mediaState,
+      ];
       this.#power = power;
-      const value = this.#power.isWarming || this.#power.isOn;
-      this.log.info(`Update PowerSwitch.On to: ${value}`);
-      this.service.getCharacteristic(Characteristic.On).updateValue(value);
+      this.#pending = pending;
+      const value = this.#active;
+      if (value !== previousActive) {
+        this.log.info(`Update Television.Active to: ${value}`);
+      }
+      this.service.getCharacteristic(Characteristic.Active).updateValue(value);
+      const mediaState = this.#mediaState;
+      if (mediaState !== previousMediaState) {
+        this.log.info(`Update Television.CurrentMediaState to: ${mediaState}`);
+        this.service
+          .getCharacteristic(Characteristic.CurrentMediaState)
+          .updateValue(mediaState);
+      }
+    }
+  }
+
+  updateInput(input) {
+    if (Television.#INPUTS.includes(input) && input !== this.#input) {
+      this.#input = input;
+      const value = this.#identifier;
+      this.log.info(
+        `Update Television.ActiveIdentifier to: ${value} (${input})`
+      );
+      this.service
+        .getCharacteristic(Characteristic.ActiveIdentifier)
+        .updateValue(value);
+    }
+  }
+}
+
+class PictureModeSwitches {
+  #mode;
+
+  constructor(accessory, modes) {
+    this.log = accessory.log;
+    this.services = modes.map((mode) => {
+      const service = accessory.addService(
+        Service.Switch,
+        `${accessory.name} ${mode}`,
+        mode
+      );
+      service
+        .getCharacteristic(Characteristic.On)
+        .onGet(async () => {
+          const value = this.#mode === mode;
+          this.log.debug(`Get PictureMode[${mode}].On: ${value}`);
+          return value;
+        })
+        .onSet(async (on) => {
+          const logMessage = `Set PictureMode[${mode}].On to: ${on}`;
+          if (!on) {
+            this.log.info(`${logMessage}, select another picture mode instead`);
+            service
+              .getCharacteristic(Characteristic.On)
+              .updateValue(this.#mode === mode);
+            return;
+          }
+          if (!accessory.power.isOn) {
+            this.log.info(`${logMessage}, projector not on`);
+            service.getCharacteristic(Characteristic.On).updateValue(false);
+            return;
+          }
+          if (this.#mode === mode) {
+            this.log.info(`${logMessage}, picture mode already selected`);
+            return;
+          }
+          this.log.info(logMessage);
+          await accessory.setPictureMode(mode);
+        });
+      return service;
+    });
+    accessory.state.on("pictureMode", (mode) => this.updatePictureMode(mode));
+  }
+
+  updatePictureMode(mode) {
+    if (mode && mode !== this.#mode) {
+      this.#mode = mode;
+      this.log.info(`Update PictureMode to: ${mode}`);
+      this.services.forEach((service) => {
+        service
+          .getCharacteristic(Characteristic.On)
+          .updateValue(service.subtype === mode);
+      });
+    }
+  }
+}
+
+// A switch for each named lens memory, configured as { memory, name }, of
+// the model's count lens memories. The switch of the lens memory in use is on.
+class LensMemorySwitches {
+  #memory;
+
+  constructor(accessory, memories, count = 10) {
+    this.log = accessory.log;
+    memories = memories.filter(({ memory, name }) => {
+      const valid =
+        Jvc.Operation.LensMemory[memory] !== undefined &&
+        memory <= count &&
+        name;
+      if (!valid) {
+        this.log.info(`Invalid lens memory: ${memory} (${name})`);
+      }
+      return valid;
+    });
+    // The configured memory numbers, if any
+    this.memories = memories.length
+      ? memories.map(({ memory }) => memory)
+      : undefined;
+    this.services = memories.map(({ memory, name }) => {
+      const service = accessory.addService(
+        Service.Switch,
+        `${accessory.name} ${name}`,
+        `lens-${memory}`
+      );
+      service
+        .getCharacteristic(Characteristic.On)
+        .onGet(async () => {
+          const value = this.#memory === memory;
+          this.log.debug(`Get LensMemory[${name}].On: ${value}`);
+          return value;
+        })
+        .onSet(async (on) => {
+          const logMessage = `Set LensMemory[${name}].On to: ${on}`;
+          if (!on) {
+            this.log.info(`${logMessage}, select another lens memory instead`);
+            service
+              .getCharacteristic(Characteristic.On)
+              .updateValue(this.#memory === memory);
+            return;
+          }
+          if (!accessory.power.isOn) {
+            this.log.info(`${logMessage}, projector not on`);
+            service.getCharacteristic(Characteristic.On).updateValue(false);
+            return;
+          }
+          if (this.#memory === memory) {
+            this.log.info(`${logMessage}, lens memory already selected`);
+            return;
+          }
+          this.log.info(logMessage);
+          await accessory.setLensMemory(memory);
+        });
+      return service;
+    });
+    accessory.state.on("lensMemory", (memory) => this.updateLensMemory(memory));
+  }
+
+  // memory is undefined when the lens doesn't match any memory
+  updateLensMemory(memory) {
+    if (memory !== this.#memory) {
+      this.#memory = memory;
+      this.log.info(`Update LensMemory to: ${memory ?? "custom"}`);
+      this.services.forEach((service) => {
+        service
+          .getCharacteristic(Characteristic.On)
+          .updateValue(service.subtype === `lens-${memory}`);
+      });
+    }
+  }
+}
+
+// A switch for each named installation mode, configured as { mode, name },
+// of the model's count installation modes. The switch of the installation
+// mode in use is on.
+class InstallationModeSwitches {
+  #mode;
+
+  constructor(accessory, modes, count = 10) {
+    this.log = accessory.log;
+    modes = modes.filter(({ mode, name }) => {
+      const valid =
+        Jvc.Operation.InstallationMode[mode] !== undefined &&
+        mode <= count &&
+        name;
+      if (!valid) {
+        this.log.info(`Invalid installation mode: ${mode} (${name})`);
+      }
+      return valid;
+    });
+    this.services = modes.map(({ mode, name }) => {
+      const service = accessory.addService(
+        Service.Switch,
+        `${accessory.name} ${name}`,
+        `installation-${mode}`
+      );
+      service
+        .getCharacteristic(Characteristic.On)
+        .onGet(async () => {
+          const value = this.#mode === mode;
+          this.log.debug(`Get InstallationMode[${name}].On: ${value}`);
+          return value;
+        })
+        .onSet(async (on) => {
+          const logMessage = `Set InstallationMode[${name}].On to: ${on}`;
+          if (!on) {
+            this.log.info(
+              `${logMessage}, select another installation mode instead`
+            );
+            service
+              .getCharacteristic(Characteristic.On)
+              .updateValue(this.#mode === mode);
+            return;
+          }
+          if (!accessory.power.isOn) {
+            this.log.info(`${logMessage}, projector not on`);
+            service.getCharacteristic(Characteristic.On).updateValue(false);
+            return;
+          }
+          if (this.#mode === mode) {
+            this.log.info(`${logMessage}, installation mode already selected`);
+            return;
+          }
+          this.log.info(logMessage);
+          await accessory.setInstallationMode(mode);
+        });
+      return service;
+    });
+    accessory.state.on("installationMode", (mode) =>
+      this.updateInstallationMode(mode)
+    );
+  }
+
+  updateInstallationMode(mode) {
+    if (mode !== this.#mode) {
+      this.#mode = mode;
+      this.log.info(`Update InstallationMode to: ${mode}`);
+      this.services.forEach((service) => {
+        service
+          .getCharacteristic(Characteristic.On)
+          .updateValue(service.subtype === `installation-${mode}`);
+      });
+    }
+  }
+}
+
+class CustomSwitches {
+  static #MOMENTARY_DELAY = 1000;
+
+  #switches;
+
+  // Each switch is configured as { name, on, off, status, status_on }. `on`
+  // and `off` are operation codes; without `off` the switch is momentary.
+  // With `status` (a reference code), the switch is on while the reference
+  // returns `status_on`.
+  constructor(accessory, switches) {
+    this.log = accessory.log;
+    this.#switches = switches.map((config) => {
+      const service = accessory.addService(
+        Service.Switch,
+        `${accessory.name} ${config.name}`,
+        `custom-${config.name}`
+      );
+      const state = { config, service, on: false, status: undefined };
+      if (config.status && config.status_on) {
+        try {
+          state.status = Jvc.reference(config.status, config.status_on.length);
+        } catch (e) {
+          this.log.info(`Custom[${config.name}]: ${e.message}`);
+        }
+      }
+      service
+        .getCharacteristic(Characteristic.On)
+        .onGet(async () => {
+          this.log.debug(`Get Custom[${config.name}].On: ${state.on}`);
+          return state.on;
+        })
+        .onSet(async (on) => {
+          const logMessage = `Set Custom[${config.name}].On to: ${on}`;
+          const code = on ? config.on : config.off;
+          if (!code) {
+            this.log.info(`${logMessage}, momentary switch`);
+            return;
+          }
+          this.log.info(logMessage);
+          if (await accessory.sendRaw(code)) {
+            this.#update(state, on);
+          }
+          if (on && !config.off) {
+            const timeoutObj = setTimeout(
+              () => this.#update(state, false),
+              CustomSwitches.#MOMENTARY_DELAY
+            );
+            timeoutObj.unref();
+          }
+        });
+      return state;
+    });
+
+    this.#switches
+      .filter((state) => state.status)
+      .forEach((state) => {
+        accessory.state.on(CustomSwitches.#stateKey(state), (value) =>
+          this.#update(state, value === state.config.status_on)
+        );
+      });
+  }
+
+  static #stateKey(state) {
+    return `custom.${state.config.name}`;
+  }
+
+  get services() {
+    return this.#switches.map((state) => state.service);
+  }
+
+  // [state key, reference command] for each switch with a status
+  get statusCommands() {
+    return this.#switches
+      .filter((state) => state.status)
+      .map((state) => [CustomSwitches.#stateKey(state), state.status]);
+  }
+
+  #update(state, on) {
+    if (on !== state.on) {
+      state.on = on;
+      this.log.info(`Update Custom[${state.config.name}].On to: ${on}`);
+      state.service.getCharacteristic(Characteristic.On).updateValue(on);
+    }
+  }
+}
+
+// A Lightbulb whose brightness (0 - 100%) sets a picture adjustment setting
+// (see models.js) across the model's range. It is on while the projector
+// is; use the power switch to turn it on or off.
+class AdjustmentLightbulb {
+  #range;
+  #value; // e.g. -50 - 50, undefined until read
+
+  constructor(accessory, setting, name, range, set) {
+    this.log = accessory.log;
+    this.name = name;
+    this.#range = range;
+
+    this.service = accessory.addService(
+      Service.Lightbulb,
+      `${accessory.name} ${name}`,
+      name.toLowerCase().replace(/ /g, "-")
+    );
+    this.service
+      .getCharacteristic(Characteristic.On)
+      .onGet(async () => {
+        const value = accessory.power.isOn;
+        this.log.debug(`Get ${name}.On: ${value}`);
+        return value;
+      })
+      .onSet(async (on) => {
+        this.log.info(`Set ${name}.On to: ${on}, use the power switch`);
+        this.service
+          .getCharacteristic(Characteristic.On)
+          .updateValue(accessory.power.isOn);
+      });
+    this.service
+      .getCharacteristic(Characteristic.Brightness)
+      .onGet(async () => {
+        const value = this.#percent;
+        this.log.debug(`Get ${name}.Brightness: ${value}`);
+        return value;
+      })
+      .onSet(async (percent) => {
+        const value = this.#fromPercent(percent);
+        const logMessage = `Set ${name}.Brightness to: ${percent} (${value})`;
+        if (!accessory.power.isOn) {
+          this.log.info(`${logMessage}, projector not on`);
+          this.service
+            .getCharacteristic(Characteristic.Brightness)
+            .updateValue(this.#percent);
+          return;
+        }
+        this.log.info(logMessage);
+        await set(value);
+      });
+
+    accessory.state.on("power", (power) =>
+      this.service.getCharacteristic(Characteristic.On).updateValue(power.isOn)
+    );
+    accessory.state.on(setting, (value) => this.update(value));
+  }
+
+  // The current value as a percentage, or 50% until it is known
+  get #percent() {
+    return this.#value === undefined ? 50 : this.#toPercent(this.#value);
+  }
+
+  #toPercent(value) {
+    const [min, max] = this.#range;
+    return Math.round(((value - min) * 100) / (max - min));
+  }
+
+  #fromPercent(percent) {
+    const [min, max] = this.#range;
+    return min + Math.round((percent * (max - min)) / 100);
+  }
+
+  update(value) {
+    if (value !== undefined && value !== this.#value) {
+      this.#value = value;
+      this.log.info(`Update ${this.name} to: ${value}`);
+      this.service
+        .getCharacteristic(Characteristic.Brightness)
+        .updateValue(this.#toPercent(value));
+    }
+  }
+}
+
+// A Lightbulb for the picture brightness, on laser models another for the
+// laser dimming value, and a switch for each light power level (lamp or
+// laser power, depending on the model) that is on while that level is in
+// use.
+class PictureAdjustments {
+  #lightPower;
+
+  constructor(accessory, { lightSource, ranges }) {
+    this.log = accessory.log;
+    this.lightbulbs = [
+      new AdjustmentLightbulb(
+        accessory,
+        "brightness",
+        "Brightness",
+        ranges.brightness,
+        (value) => accessory.setBrightness(value)
+      ),
+    ];
+    if (ranges.laserValue !== undefined) {
+      this.lightbulbs.push(
+        new AdjustmentLightbulb(
+          accessory,
+          "laserValue",
+          "Laser Value",
+          ranges.laserValue,
+          (value) => accessory.setLaserValue(value)
+        )
+      );
+    }
+
+    this.lightPowerSwitches = Object.keys(
+      Jvc.LightPower.forLightSource(lightSource)
+    ).map((level) => {
+      const service = accessory.addService(
+        Service.Switch,
+        `${accessory.name} Light Power ${level}`,
+        `light-power-${level}`
+      );
+      service
+        .getCharacteristic(Characteristic.On)
+        .onGet(async () => {
+          const value = this.#lightPower === level;
+          this.log.debug(`Get LightPower[${level}].On: ${value}`);
+          return value;
+        })
+        .onSet(async (on) => {
+          const logMessage = `Set LightPower[${level}].On to: ${on}`;
+          if (!on) {
+            this.log.info(`${logMessage}, select another level instead`);
+            service
+              .getCharacteristic(Characteristic.On)
+              .updateValue(this.#lightPower === level);
+            return;
+          }
+          if (!accessory.power.isOn) {
+            this.log.info(`${logMessage}, projector not on`);
+            service.getCharacteristic(Characteristic.On).updateValue(false);
+            return;
+          }
+          if (this.#lightPower === level) {
+            this.log.info(`${logMessage}, level already selected`);
+            return;
+          }
+          this.log.info(logMessage);
+          await accessory.setLightPower(level);
+        });
+      return service;
+    });
+
+    accessory.state.on("lightPower", (level) => this.updateLightPower(level));
+  }
+
+  get services() {
+    return [
+      ...this.lightbulbs.map((lightbulb) => lightbulb.service),
+      ...this.lightPowerSwitches,
+    ];
+  }
+
+  updateLightPower(level) {
+    if (level !== this.#lightPower) {
+      this.#lightPower = level;
+      this.log.info(`Update LightPower to: ${level}`);
+      this.lightPowerSwitches.forEach((service) => {
+        service
+          .getCharacteristic(Characteristic.On)
+          .updateValue(service.subtype === `light-power-${level}`);
+      });
+    }
+  }
+}
+
+// Occupancy sensors for the source signal, so that automations can run when
+// a signal, an HDR signal or a 4K signal starts. The signal sensor also
+// carries the resolution, HDR type and color space as custom
+// characteristics, shown by third-party apps such as Eve.
+class SignalSensors {
+  static #DETAILS = {
+    resolution: ["Resolution", "58010A33-E2D0-4BD5-B23E-6350B333CB81"],
+    hdrType: ["HDR Type", "58010A34-E2D0-4BD5-B23E-6350B333CB81"],
+    colorSpace: ["Color Space", "58010A35-E2D0-4BD5-B23E-6350B333CB81"],
+  };
+
+  static NO_SIGNAL = {
+    signal: false,
+    resolution: "",
+    hdrType: "",
+    colorSpace: "",
+  };
+
+  #signal = SignalSensors.NO_SIGNAL;
+
+  constructor(accessory) {
+    this.log = accessory.log;
+    this.signal = this.#addSensor(accessory, "Signal", "signal", () => true);
+    this.hdr = this.#addSensor(
+      accessory,
+      "HDR",
+      "signal-hdr",
+      ({ hdrType }) => hdrType !== "SDR"
+    );
+    this.uhd = this.#addSensor(accessory, "4K", "signal-4k", ({ resolution }) =>
+      resolution.startsWith("4K")
+    );
+
+    Object.entries(SignalSensors.#DETAILS).forEach(([key, [name, uuid]]) => {
+      const characteristic =
+        this.signal.service.getCharacteristic(name) ??
+        this.signal.service.addCharacteristic(
+          new Characteristic(name, uuid, {
+            format: hap.Formats.STRING,
+            perms: [hap.Perms.PAIRED_READ, hap.Perms.NOTIFY],
+          })
+        );
+      characteristic.onGet(async () => {
+        const value = this.#signal[key];
+        this.log.debug(`Get Signal.${name}: ${value}`);
+        return value;
+      });
+    });
+
+    accessory.state.on("signal", (signal) => this.update(signal));
+  }
+
+  // detected(signal) tells whether a signal, which is present, triggers the
+  // sensor
+  #addSensor(accessory, name, subtype, detected) {
+    const service = accessory.addService(
+      Service.OccupancySensor,
+      `${accessory.name} ${name}`,
+      subtype
+    );
+    const sensor = { name, service, value: () => this.#detected(detected) };
+    service
+      .getCharacteristic(Characteristic.OccupancyDetected)
+      .onGet(async () => {
+        const value = sensor.value();
+        this.log.debug(`Get Signal[${name}].OccupancyDetected: ${value}`);
+        return value;
+      });
+    return sensor;
+  }
+
+  #detected(detected) {
+    return this.#signal.signal && detected(this.#signal)
+      ? Characteristic.OccupancyDetected.OCCUPANCY_DETECTED
+      : Characteristic.OccupancyDetected.OCCUPANCY_NOT_DETECTED;
+  }
+
+  get services() {
+    return [this.signal, this.hdr, this.uhd].map((sensor) => sensor.service);
+  }
+
+  // signal is { signal, resolution, hdrType, colorSpace }; without a signal
+  // the other values are empty
+  update(signal) {
+    const sensors = [this.signal, this.hdr, this.uhd];
+    const previous = this.#signal;
+    const previousValues = sensors.map((sensor) => sensor.value());
+    this.#signal = signal;
+    Object.entries(SignalSensors.#DETAILS).forEach(([key, [name]]) => {
+      if (signal[key] !== previous[key]) {
+        this.log.info(`Update Signal.${name} to: ${signal[key]}`);
+        this.signal.service.getCharacteristic(name).updateValue(signal[key]);
+      }
+    });
+    sensors.forEach((sensor, i) => {
+      const value = sensor.value();
+      if (value !== previousValues[i]) {
+        this.log.info(
+          `Update Signal[${sensor.name}].OccupancyDetected to: ${value}`
+        );
+        sensor.service
+          .getCharacteristic(Characteristic.OccupancyDetected)
+          .updateValue(value);
+      }
+    });
+  }
+}
+
+class FaultStatus {
+  #fault = false;
+  #services;
+
+  // Reports a fault through StatusFault on the given services and, if
+  // `sensor` is "contact" or "occupancy", through a sensor of that type,
+  // for which HomeKit can send notifications.
+  constructor(accessory, services, sensor) {
+    this.log = accessory.log;
+    this.sensor = undefined;
+    if (sensor === "contact") {
+      this.sensor = accessory.addService(
+        Service.ContactSensor,
+        `${accessory.name} Fault`
+      );
+      this.sensor
+        .getCharacteristic(Characteristic.ContactSensorState)
+        .onGet(async () => this.#sensorState);
+    } else if (sensor === "occupancy") {
+      this.sensor = accessory.addService(
+        Service.OccupancySensor,
+        `${accessory.name} Fault`
+      );
+      this.sensor
+        .getCharacteristic(Characteristic.OccupancyDetected)
+        .onGet(async () => this.#sensorState);
+    }
+
+    this.#services = this.sensor ? [...services, this.sensor] : services;
+    this.#services.forEach((service) => {
+      // StatusFault isn't an optional characteristic of most services, so add
+      // it directly; getCharacteristic() would log a warning for each.
+      const characteristic = service.testCharacteristic(
+        Characteristic.StatusFault
+      )
+        ? service.getCharacteristic(Characteristic.StatusFault)
+        : service.addCharacteristic(Characteristic.StatusFault);
+      characteristic.onGet(async () => this.#statusFault);
+    });
+  }
+
+  get #statusFault() {
+    return this.#fault
+      ? Characteristic.StatusFault.GENERAL_FAULT
+      : Characteristic.StatusFault.NO_FAULT;
+  }
+
+  get #sensorState() {
+    if (this.sensor?.UUID === Service.ContactSensor.UUID) {
+      return this.#fault
+        ? Characteristic.ContactSensorState.CONTACT_NOT_DETECTED
+        : Characteristic.ContactSensorState.CONTACT_DETECTED;
+    }
+    return this.#fault
+      ? Characteristic.OccupancyDetected.OCCUPANCY_DETECTED
+      : Characteristic.OccupancyDetected.OCCUPANCY_NOT_DETECTED;
+  }
+
+  get fault() {
+    return this.#fault;
+  }
+
+  update(fault, reason = undefined) {
+    if (fault === this.#fault) {
+      return;
+    }
+    this.#fault = fault;
+    if (fault) {
+      this.log.warn(`Update StatusFault to: ${this.#statusFault} (${reason})`);
+    } else {
+      this.log.info(`Update StatusFault to: ${this.#statusFault}`);
+    }
+    this.#services.forEach((service) => {
+      service
+        .getCharacteristic(Characteristic.StatusFault)
+        .updateValue(this.#statusFault);
+    });
+    if (this.sensor?.UUID === Service.ContactSensor.UUID) {
+      this.sensor
+        .getCharacteristic(Characteristic.ContactSensorState)
+        .updateValue(this.#sensorState);
+    } else if (this.sensor) {
+      this.sensor
+        .getCharacteristic(Characteristic.OccupancyDetected)
+        .updateValue(this.#sensorState);
     }
   }
 }
@@ -100,25 +1173,90 @@ class PositionState {
   }
 }
 
+// The projector keeps reporting the lens memory last selected after the
+// lens has been moved by hand, so the lens position (see
+// Jvc.getLensPosition()) is compared with the one stored for that memory.
+// The position is stored once the lens has stopped after the memory was
+// selected or saved. positions maps memory numbers to positions, and
+// onChange is called after one is stored.
+class LensMemoryMatcher {
+  #positions;
+  #onChange;
+  #memory; // the memory last reported
+  #settling; // the position last read while no position is stored
+
+  constructor(positions = {}, onChange = () => undefined) {
+    this.#positions = positions;
+    this.#onChange = onChange;
+  }
+
+  // Returns memory if the lens is at its position (or not known to be
+  // elsewhere), or else undefined
+  match(memory, position) {
+    if (memory === undefined) {
+      return undefined;
+    }
+    if (memory !== this.#memory) {
+      if (this.#memory !== undefined) {
+        this.#forget(memory); // selected since the last read
+      }
+      this.#memory = memory;
+    }
+    const stored = this.#positions[memory];
+    if (stored !== undefined) {
+      return isDeepStrictEqual(position, stored) ? memory : undefined;
+    }
+    if (isDeepStrictEqual(position, this.#settling)) {
+      this.#positions[memory] = position;
+      this.#settling = undefined;
+      this.#onChange();
+    } else {
+      this.#settling = position;
+    }
+    return memory;
+  }
+
+  // Saving a memory also selects it
+  saved(memory) {
+    this.#forget(memory);
+    this.#memory = memory;
+  }
+
+  #forget(memory) {
+    delete this.#positions[memory];
+    this.#settling = undefined;
+  }
+}
+
 class LensPosition {
-  #position = 10; // 10 - 100 in steps of 10
+  static #CUSTOM = 0; // lens moved by hand, not at any memory
+  static #MOMENTARY_DELAY = 1000;
+
+  #position = 10; // 10 - 100 in steps of 10, or #CUSTOM
+  #target = 10; // last memory position, kept while the lens is custom
   #state = PositionState.STOPPED;
 
-  constructor(accessory) {
+  // With saveMemory (1 - 10), a momentary switch stores the current lens
+  // position in that memory. With memories, a list of memory numbers, only
+  // those memories can be selected.
+  constructor(accessory, saveMemory = undefined, memories = undefined) {
     this.log = accessory.log;
-    this.service = new Service.WindowCovering(`${accessory.name} LensPosition`);
+    this.service = accessory.addService(
+      Service.WindowCovering,
+      `${accessory.name} LensPosition`
+    );
 
     this.service
       .getCharacteristic(Characteristic.PositionState)
       .onGet(async () => {
-        this.log.info(`Get Lens.PositionState: ${this.#state}`);
+        this.log.debug(`Get Lens.PositionState: ${this.#state}`);
         return this.#state.value;
       });
 
     this.service
       .getCharacteristic(Characteristic.CurrentPosition)
       .onGet(async () => {
-        this.log.info(`Get Lens.CurrentPosition: ${this.#position}`);
+        this.log.debug(`Get Lens.CurrentPosition: ${this.#position}`);
         return this.#position;
       });
 
@@ -130,8 +1268,8 @@ class LensPosition {
         minStep: 10,
       })
       .onGet(async () => {
-        this.log.info(`Get Lens.TargetPosition: ${this.#position}`);
-        return this.#position;
+        this.log.debug(`Get Lens.TargetPosition: ${this.#target}`);
+        return this.#target;
       })
       .onSet(async (position) => {
         position = 10 * Math.min(Math.max(Math.floor(position / 10), 1), 10);
@@ -140,7 +1278,7 @@ class LensPosition {
           this.log.info(`${logMessage}, projector not on`);
           this.service
             .getCharacteristic(Characteristic.TargetPosition)
-            .updateValue(this.#position);
+            .updateValue(this.#target);
           return;
         }
         if (this.#state !== PositionState.STOPPED) {
@@ -151,12 +1289,51 @@ class LensPosition {
           this.log.info(`${logMessage}, lens already in position`);
           return;
         }
+        if (memories && !memories.includes(position / 10)) {
+          this.log.info(`${logMessage}, lens memory not configured`);
+          this.service
+            .getCharacteristic(Characteristic.TargetPosition)
+            .updateValue(this.#target);
+          return;
+        }
         this.log.info(logMessage);
         this.#updateState(position);
-        if (await accessory.setLensPosition(position)) {
-          this.updatePosition(position);
+        await accessory.setLensPosition(position);
+      });
+
+    if (saveMemory !== undefined) {
+      this.saveService = accessory.addService(
+        Service.Switch,
+        `${accessory.name} Save Lens Memory ${saveMemory}`,
+        "lens-save"
+      );
+      const on = this.saveService.getCharacteristic(Characteristic.On);
+      on.onGet(async () => false).onSet(async (value) => {
+        if (!value) {
+          return;
+        }
+        const logMessage = `Set Lens.Save to: ${saveMemory}`;
+        if (!accessory.power.isOn) {
+          this.log.info(`${logMessage}, projector not on`);
+        } else {
+          this.log.info(logMessage);
+          await accessory.saveLensMemory(saveMemory);
         }
+        const timeoutObj = setTimeout(
+          () => on.updateValue(false),
+          LensPosition.#MOMENTARY_DELAY
+        );
+        timeoutObj.unref();
       });
+    }
+
+    accessory.state.on("lensMemory", (memory) =>
+      this.updatePosition(memory && memory * 10)
+    );
+  }
+
+  get services() {
+    return this.saveService ? [this.service, this.saveService] : [this.service];
   }
 
   #updateState(position) {
@@ -177,9 +1354,26 @@ class LensPosition {
     }
   }
 
+  // An undefined position means the lens doesn't match any memory. That is
+  // shown as a current position of 0 with the target left alone, so that
+  // selecting any memory moves the lens.
   updatePosition(position) {
+    if (position === undefined) {
+      if (this.#position !== LensPosition.#CUSTOM) {
+        this.#position = LensPosition.#CUSTOM;
+        this.log.info("Update Lens.CurrentPosition to: 0 (custom)");
+        this.service
+          .getCharacteristic(Characteristic.CurrentPosition)
+          .updateValue(LensPosition.#CUSTOM);
+        this.#state = PositionState.STOPPED;
+        this.service
+          .getCharacteristic(Characteristic.PositionState)
+          .updateValue(this.#state.value);
+      }
+      return;
+    }
     if (position >= 10 && position <= 100 && position !== this.#position) {
-      this.#position = position;
+      this.#position = this.#target = position;
       this.log.info(`Update Lens.CurrentPosition to: ${position}`);
       this.service
         .getCharacteristic(Characteristic.CurrentPosition)
@@ -194,102 +1388,908 @@ class LensPosition {
 }
 
 class JvcDlaAccessory {
+  // Default delays between polls; #pollDelay picks one
+  static #POLL_DELAY_ON = 15 * 1000;
   static #POLL_DELAY_OFF = 60 * 1000;
-  static #POLL_DELAY_NOT_OFF = 5 * 1000;
+  static #POLL_DELAY_FAST = 2 * 1000;
+  // How long to poll fast after a command
+  static #FAST_POLL_DURATION = 30 * 1000;
+  // How often to read the firmware version and light source hours
+  static #SLOW_READ_DELAY = 10 * 60 * 1000;
+  static #LOCATE_AFTER_FAILURES = 3;
+  static #FAULT_AFTER_FAILURES = 3;
 
   #jvc;
-  #mutex;
+  #config;
+  #homebridgeApi;
+  #failures = 0;
+  #platformAccessory;
+  #context;
+  #contextFile;
+  #televisionAccessory;
   #information;
+  #television;
   #powerSwitch;
   #lensPosition;
+  #lensMemoryMatcher;
+  #lensMemorySwitches;
+  #installationModeSwitches;
+  #pictureModeSwitches;
+  #pictureAdjustments;
+  #customSwitches;
+  #signalSensors;
+  #autoOff;
+  #faultStatus;
+  #pollDelays;
+  #pollDelay;
+  #pollTimer;
+  #pollDue = Infinity;
+  #polling = false;
+  #fastPollUntil = 0;
+  #slowReadDue = 0;
+  #stopped = false;
+  // Aborted on shutdown, to cancel commands waiting to connect
+  #abort = new AbortController();
+  #trace;
 
-  constructor(log, config) {
+  // In platform mode, platformAccessory is the projector's bridged accessory
+  // and televisionAccessory the separate accessory for its Television
+  // service, since HomeKit shows only one Television per bridge.
+  constructor(
+    log,
+    config,
+    api,
+    platformAccessory = undefined,
+    televisionAccessory = undefined
+  ) {
     this.log = log;
     this.name = config.name;
 
+    // Services subscribe to the state, so create it first. pendingPower is
+    // the requested power state, while warming or cooling.
+    this.state = new ProjectorState({
+      power: Jvc.Power.Off,
+      pendingPower: undefined,
+    });
+    if (config.trace_file) {
+      this.#trace = new TraceFile(config.trace_file, (e) => {
+        this.log.error(`Trace not written: ${describeError(e)}`);
+        this.#trace = undefined;
+      });
+    }
     this.#jvc = new Jvc({
-      host: config.host,
-      password: config.password,
-      is_2024_model: config.is_2024_model,
+      ...jvcOptions(config),
+      log: this.log,
+      trace: (record) => this.#trace?.write(record),
     });
-    this.#mutex = new Mutex();
-    this.#information = new Information(this);
+    this.#config = config;
+    this.#homebridgeApi = api;
+    this.#platformAccessory = platformAccessory;
+    this.#televisionAccessory = televisionAccessory;
+
+    // Only the services that the model supports are exposed. The model is
+    // remembered from the last run; until it is known, all the configured
+    // services are.
+    this.#context = platformAccessory?.context ?? this.#loadContext();
+    const model = this.#context.model;
+    this.capabilities = Models.lookup(model);
+    const { lensMemories, installationModes, signalInfo } = this.capabilities;
+
+    this.#information = new Information(
+      this,
+      config.light_source_warning_hours
+    );
+    this.#television = new Television(this);
     this.#powerSwitch = new PowerSwitch(this);
-    this.#lensPosition = new LensPosition(this);
-    this.#poll(JvcDlaAccessory.#POLL_DELAY_NOT_OFF);
+    if (lensMemories) {
+      this.#lensMemorySwitches = new LensMemorySwitches(
+        this,
+        config.lens_memories ?? [],
+        lensMemories
+      );
+      this.#lensPosition = new LensPosition(
+        this,
+        config.lens_save_memory,
+        this.#lensMemorySwitches.memories
+      );
+      // The memories' lens positions are kept for the next run too
+      const lensPositions = this.#context.lensPositions ?? {};
+      this.#lensMemoryMatcher = new LensMemoryMatcher(lensPositions, () => {
+        this.#context.lensPositions = lensPositions;
+        this.#saveContext();
+      });
+    } else {
+      this.log.info(`Model ${model} has no lens memories`);
+    }
+    if (installationModes) {
+      this.#installationModeSwitches = new InstallationModeSwitches(
+        this,
+        config.installation_modes ?? [],
+        installationModes
+      );
+    } else if (config.installation_modes?.length) {
+      this.log.info(`Model ${model} has no installation modes`);
+    }
+    const pictureModes = Jvc.PictureMode.forModel(model);
+    this.#pictureModeSwitches = new PictureModeSwitches(
+      this,
+      (config.picture_modes ?? []).filter((mode) => {
+        const supported = model === undefined || mode in pictureModes;
+        if (!supported) {
+          this.log.info(`Picture mode not supported by ${model}: ${mode}`);
+        }
+        return supported;
+      })
+    );
+    this.#customSwitches = new CustomSwitches(
+      this,
+      config.custom_switches ?? []
+    );
+    if (config.picture_adjustments) {
+      this.#pictureAdjustments = new PictureAdjustments(
+        this,
+        this.capabilities
+      );
+    }
+    if (config.signal_sensors) {
+      if (signalInfo) {
+        this.#signalSensors = new SignalSensors(this);
+      } else {
+        this.log.info(`Model ${model} doesn't report the source signal`);
+      }
+    }
+    this.#autoOff = new AutoOff(this, config);
+    this.#faultStatus = new FaultStatus(
+      this,
+      [
+        this.#television.service,
+        this.#powerSwitch.service,
+        this.#lensPosition?.service,
+      ].filter(Boolean),
+      config.fault_sensor
+    );
+    this.state.on("model", (code) => this.#rememberModel(code));
+    const delay = (seconds, fallback) =>
+      Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : fallback;
+    this.#pollDelays = {
+      on: delay(config.poll_interval_on, JvcDlaAccessory.#POLL_DELAY_ON),
+      off: delay(config.poll_interval_off, JvcDlaAccessory.#POLL_DELAY_OFF),
+      fast: delay(config.poll_interval_fast, JvcDlaAccessory.#POLL_DELAY_FAST),
+    };
+    this.#schedulePoll(this.#pollDelays.fast);
+
+    if (config.http_port !== undefined) {
+      this.api = new ApiServer(this, {
+        port: config.http_port,
+        host: config.http_host,
+        token: config.http_token,
+      });
+      this.api.listen().catch((e) => {
+        this.log.error(`API not started: ${describeError(e)}`);
+      });
+    }
+    if (config.mqtt?.url) {
+      this.mqtt = new MqttBridge(this, config.mqtt);
+    }
+    api?.on("shutdown", () => this.shutdown());
+  }
+
+  // Stops polling and closes the connection, the trace file, the API and
+  // the MQTT bridge
+  shutdown() {
+    this.#stopped = true;
+    this.#abort.abort();
+    clearTimeout(this.#pollTimer);
+    this.#jvc.disconnect();
+    this.#trace?.close();
+    this.#trace = undefined;
+    this.api?.close();
+    this.mqtt?.close();
   }
 
   getServices() {
-    return [this.#information, this.#powerSwitch, this.#lensPosition].map(
-      (obj) => obj.service
+    return [
+      this.#information.service,
+      this.#television.service,
+      ...this.#television.inputServices,
+      this.#powerSwitch.service,
+      ...(this.#lensPosition?.services ?? []),
+      ...(this.#lensMemorySwitches?.services ?? []),
+      ...(this.#installationModeSwitches?.services ?? []),
+      ...this.#pictureModeSwitches.services,
+      ...(this.#pictureAdjustments?.services ?? []),
+      ...this.#customSwitches.services,
+      ...(this.#signalSensors?.services ?? []),
+      ...this.#autoOff.services,
+      ...(this.#faultStatus.sensor ? [this.#faultStatus.sensor] : []),
+    ];
+  }
+
+  // Returns a new service, or in platform mode the matching service of the
+  // platform accessory, which may have been restored from the cache. The
+  // Television and its inputs go on the television accessory, if any.
+  addService(type, name, subtype = undefined) {
+    const accessory =
+      this.#televisionAccessory &&
+      (type === Service.Television || type === Service.InputSource)
+        ? this.#televisionAccessory
+        : this.#platformAccessory;
+    if (accessory === undefined) {
+      return new type(name, subtype);
+    }
+    const service = accessory.services.find(
+      (service) => service.UUID === type.UUID && service.subtype === subtype
     );
+    return service ?? accessory.addService(type, name, subtype);
   }
 
   get power() {
-    return this.#powerSwitch.power;
+    return this.state.get("power");
+  }
+
+  // Turns the projector on or off. A request to turn on while cooling down,
+  // or off while warming up, is remembered and carried out by #poll once the
+  // projector has finished. Resolves to false if the command failed.
+  async requestPower(on) {
+    const power = this.power;
+    const action = on ? "on" : "off";
+    if (on ? power.isCooling : power.isWarming) {
+      this.log.info(`Projector ${power}, will turn ${action} when done`);
+      this.state.update({ pendingPower: on });
+      this.#pollFast();
+      return true;
+    }
+    this.state.update({ pendingPower: undefined });
+    if (on ? !power.isOff : !power.isOn) {
+      this.log.info(`Projector ${power}, not turning ${action}`);
+      return true;
+    }
+    return await this.setPower(on);
+  }
+
+  // Sends a pending power request once the projector has settled, and keeps
+  // it pending until the projector reports the requested transition
+  async #applyPendingPower(power) {
+    const on = this.state.get("pendingPower");
+    if (on === undefined || power.isWarming || power.isCooling) {
+      return;
+    }
+    if (on ? power.isOff : power.isOn) {
+      this.log.info(`Carry out pending request to turn ${on ? "on" : "off"}`);
+      await this.setPower(on);
+      return;
+    }
+    this.state.update({ pendingPower: undefined });
   }
 
   async setPower(on) {
-    await this.#send(on ? Jvc.Operation.Power.On : Jvc.Operation.Power.Off);
+    return await this.#send(
+      on ? Jvc.Operation.Power.On : Jvc.Operation.Power.Off
+    );
+  }
+
+  async setInput(input) {
+    if (!(await this.#send(Jvc.Operation.Input[input.name]))) {
+      return false;
+    }
+    this.state.update({ input });
+    return true;
+  }
+
+  async pressKey(key) {
+    return await this.#send(Jvc.Operation.RemoteKey[key]);
   }
 
   async setLensPosition(position) {
-    return await this.#send(Jvc.Operation.LensMemory[position / 10]);
+    return await this.setLensMemory(position / 10);
+  }
+
+  async setLensMemory(memory) {
+    if (
+      !Number.isInteger(memory) ||
+      memory < 1 ||
+      memory > this.capabilities.lensMemories
+    ) {
+      this.log.info(`Invalid lens memory: ${memory}`);
+      return false;
+    }
+    // The projector doesn't acknowledge lens commands while it is not on
+    if (!this.power.isOn) {
+      this.log.info(`Set lens memory to: ${memory}, projector not on`);
+      return false;
+    }
+    if (!(await this.#send(Jvc.Operation.LensMemory[memory]))) {
+      return false;
+    }
+    this.state.update({ lensMemory: memory });
+    return true;
+  }
+
+  async saveLensMemory(memory) {
+    if (!(await this.#send(Jvc.Operation.LensMemorySave[memory]))) {
+      return false;
+    }
+    this.#lensMemoryMatcher?.saved(memory);
+    this.state.update({ lensMemory: memory });
+    return true;
+  }
+
+  // Selecting an installation mode moves the lens to its lens memory, which
+  // the next (fast) poll picks up
+  async setInstallationMode(mode) {
+    if (!this.power.isOn) {
+      this.log.info(`Set installation mode to: ${mode}, projector not on`);
+      return false;
+    }
+    if (!(await this.#send(Jvc.Operation.InstallationMode[mode]))) {
+      return false;
+    }
+    this.state.update({ installationMode: mode });
+    return true;
+  }
+
+  async setPictureMode(mode) {
+    const model = this.#jvc.model;
+    const code = Jvc.PictureMode.forModel(model)[mode];
+    if (code === undefined) {
+      this.log.info(`Picture mode ${mode} not supported by model ${model}`);
+      return false;
+    }
+    if (!(await this.#send(Jvc.Operation.PictureMode(code)))) {
+      return false;
+    }
+    this.state.update({ pictureMode: mode });
+    return true;
+  }
+
+  async setBrightness(value) {
+    if (!(await this.#send(Jvc.Operation.Brightness(value)))) {
+      return false;
+    }
+    this.state.update({ brightness: value });
+    return true;
+  }
+
+  async setLaserValue(value) {
+    const { model, ranges } = this.#jvc.capabilities;
+    if (ranges.laserValue === undefined) {
+      this.log.info(`Laser value not supported by model ${model}`);
+      return false;
+    }
+    if (!(await this.#send(Jvc.Operation.LaserValue(value)))) {
+      return false;
+    }
+    this.state.update({ laserValue: value });
+    return true;
+  }
+
+  async setLightPower(level) {
+    const { model, lightSource } = this.#jvc.capabilities;
+    const code = Jvc.LightPower.forLightSource(lightSource)[level];
+    if (code === undefined) {
+      this.log.info(`Light power ${level} not supported by model ${model}`);
+      return false;
+    }
+    if (!(await this.#send(Jvc.Operation.LightPower(code)))) {
+      return false;
+    }
+    this.state.update({ lightPower: level });
+    return true;
+  }
+
+  async sendRaw(code) {
+    let command;
+    try {
+      command = Jvc.operation(code);
+    } catch (e) {
+      this.log.info(e.message);
+      return false;
+    }
+    return await this.#send(command);
+  }
+
+  // Resolves to the response to a raw reference, or undefined if it failed
+  async queryRaw(code, length) {
+    let command;
+    try {
+      command = Jvc.reference(code, length);
+    } catch (e) {
+      this.log.info(e.message);
+      return undefined;
+    }
+    const response = await this.#send(command);
+    return response === false ? undefined : response;
   }
 
+  // Resolves to true for an acknowledged operation, or the response to a
+  // reference, and to false if the command failed
   async #send(command) {
-    const jvc = this.#jvc;
-    await this.#mutex.acquire();
     try {
-      this.log.info(`>>> ${command}`);
-      await jvc.connect();
-      // Lens operations take a while to ack so use a longer timeout
-      jvc.setTimeout(60 * 1000);
-      await jvc.send(command);
-      this.log.info(`ACK ${command}`);
+      this.log.debug(`>>> ${command}`);
+      const response = await this.#jvc.send(command, {
+        signal: this.#abort.signal,
+      });
+      this.log.debug(`ACK ${command}`);
+      if (response !== undefined) {
+        return response;
+      }
+      this.#pollFast();
       return true;
     } catch (e) {
       this.log.info(`ERR ${command}`);
-      this.log.info(e);
+      this.log.info(describeError(e));
       return false;
-    } finally {
-      jvc.disconnect();
-      await this.#mutex.release();
     }
   }
 
-  #poll(delay) {
-    const poll = async () => {
-      const jvc = this.#jvc;
-      await this.#mutex.acquire();
-      try {
-        await jvc.connect();
+  // Remembers the model for the next run, when the services it supports are
+  // exposed
+  #rememberModel(model) {
+    if (model === undefined || model === this.#context.model) {
+      return;
+    }
+    this.#context.model = model;
+    this.#saveContext();
+    const capabilities = Models.lookup(model);
+    if (
+      [
+        "generation",
+        "lightSource",
+        "lensMemories",
+        "installationModes",
+        "signalInfo",
+      ].some((key) => capabilities[key] !== this.capabilities[key])
+    ) {
+      this.log.info(
+        `Detected model ${model}, restart Homebridge to update its services`
+      );
+    }
+  }
+
+  // What is remembered between runs is kept in the platform accessory's
+  // context in platform mode, or else in a JSON file in the Homebridge
+  // storage directory
+  #loadContext() {
+    const storagePath = this.#homebridgeApi?.user?.storagePath();
+    if (storagePath === undefined) {
+      return {};
+    }
+    this.#contextFile = path.join(
+      storagePath,
+      PLUGIN_NAME,
+      `${encodeURIComponent(this.name)}.json`
+    );
+    try {
+      return JSON.parse(fs.readFileSync(this.#contextFile, "utf8"));
+    } catch (e) {
+      if (e.code !== "ENOENT") {
+        this.log.info(`Context not read: ${describeError(e)}`);
+      }
+      return {};
+    }
+  }
 
-        this.#powerSwitch.updatePower(await jvc.getPower());
-        this.#information.updateModel(await jvc.getModelCode());
-        this.#information.updateSerialNumber(await jvc.getMacAddress());
+  #saveContext() {
+    if (this.#platformAccessory !== undefined) {
+      this.#homebridgeApi.updatePlatformAccessories([this.#platformAccessory]);
+      return;
+    }
+    if (this.#contextFile === undefined) {
+      return;
+    }
+    try {
+      fs.mkdirSync(path.dirname(this.#contextFile), { recursive: true });
+      fs.writeFileSync(this.#contextFile, JSON.stringify(this.#context));
+    } catch (e) {
+      this.log.error(`Context not saved: ${describeError(e)}`);
+    }
+  }
 
-        if (this.power.isOn) {
-          this.#lensPosition.updatePosition((await jvc.getLensMemory()) * 10);
-          this.#information.updateFirmwareRevision(
-            await jvc.getSoftwareVersion()
-          );
-        }
-      } catch (e) {
-        this.log.info(e);
-      } finally {
-        jvc.disconnect();
-        await this.#mutex.release();
+  // Scans the network for the projector with the configured MAC address and
+  // updates the host to connect to, e.g. after a DHCP address change.
+  async #locate() {
+    const { mac, subnet } = this.#config;
+    this.log.info(`Searching ${subnet ?? "local network"} for ${mac}`);
+    try {
+      const projector = await Discovery.find(mac, {
+        ...jvcOptions(this.#config),
+        subnet,
+      });
+      if (projector === undefined) {
+        this.log.info(`Projector ${mac} not found`);
+        return false;
       }
-      const nextPollDelay = this.power.isOff
-        ? JvcDlaAccessory.#POLL_DELAY_OFF
-        : JvcDlaAccessory.#POLL_DELAY_NOT_OFF;
-      if (nextPollDelay !== delay) {
-        this.log.info(`Update #poll delay to: ${nextPollDelay / 1000}s`);
+      if (projector.host !== this.#jvc.host) {
+        this.log.info(`Update host to: ${projector.host}`);
+        this.#jvc.disconnect();
+        this.#jvc.host = projector.host;
       }
-      this.#poll(nextPollDelay);
+      return true;
+    } catch (e) {
+      this.log.info(describeError(e));
+      return false;
+    }
+  }
+
+  async #getSignal() {
+    const jvc = this.#jvc;
+    if (!(await jvc.getSourceState())) {
+      return SignalSensors.NO_SIGNAL;
+    }
+    return {
+      signal: true,
+      resolution: await jvc.getResolution(),
+      hdrType: await jvc.getHdrType(),
+      colorSpace: await jvc.getColorSpace(),
     };
-    const timeoutObj = setTimeout(poll, delay);
-    timeoutObj.unref();
+  }
+
+  // Returns the lens memory that the lens is at, or undefined if it has been
+  // moved by hand since, on models whose lens position can be read
+  async #readLensMemory() {
+    const jvc = this.#jvc;
+    const memory = await jvc.getLensMemory();
+    if (!jvc.capabilities.lensPosition) {
+      return memory;
+    }
+    return this.#lensMemoryMatcher.match(memory, await jvc.getLensPosition());
+  }
+
+  // Reads the references whose values can change in the current power
+  // state into this.state
+  async #read() {
+    const { state } = this;
+    const jvc = this.#jvc;
+    if (
+      isLan(this.#config) &&
+      jvc.host === undefined &&
+      !(this.#config.mac && (await this.#locate()))
+    ) {
+      throw new Jvc.CommandError("Projector host not known");
+    }
+    const power = await jvc.getPower();
+    state.update({ power });
+    await this.#applyPendingPower(power);
+    if (!state.has("model")) {
+      state.update({ model: await jvc.getModelCode() });
+    }
+    if (!state.has("mac") && isLan(this.#config)) {
+      state.update({ mac: await jvc.getMacAddress() });
+    }
+    if (!power.isOn) {
+      if (this.#signalSensors) {
+        state.update({ signal: SignalSensors.NO_SIGNAL });
+      }
+      return;
+    }
+
+    state.update({ input: await jvc.getInput() });
+    if (this.#lensPosition) {
+      state.update({ lensMemory: await this.#readLensMemory() });
+    }
+    if (this.#installationModeSwitches?.services.length) {
+      state.update({ installationMode: await jvc.getInstallationMode() });
+    }
+    if (this.#pictureModeSwitches.services.length) {
+      state.update({ pictureMode: await jvc.getPictureMode() });
+    }
+    if (this.#pictureAdjustments) {
+      state.update({
+        brightness: await jvc.getBrightness(),
+        lightPower: await jvc.getLightPower(),
+      });
+      if (
+        this.capabilities.ranges.laserValue !== undefined &&
+        jvc.capabilities.ranges.laserValue !== undefined
+      ) {
+        state.update({ laserValue: await jvc.getLaserValue() });
+      }
+    }
+    for (const [key, command] of this.#customSwitches.statusCommands) {
+      state.update({ [key]: await jvc.send(command) });
+    }
+    if (this.#signalSensors) {
+      state.update({ signal: await this.#getSignal() });
+    }
+    if (this.#autoOff.needsSignal) {
+      state.update({
+        sourceSignal: this.#signalSensors
+          ? state.get("signal").signal
+          : await jvc.getSourceState(),
+      });
+    }
+    if (Date.now() >= this.#slowReadDue) {
+      state.update({
+        softwareVersion: await jvc.getSoftwareVersion(),
+        lightSourceHours: await jvc.getLightSourceHours(),
+      });
+      this.#slowReadDue = Date.now() + JvcDlaAccessory.#SLOW_READ_DELAY;
+    }
+  }
+
+  async #poll() {
+    this.#polling = true;
+    try {
+      await this.#read();
+      await this.#autoPowerOff();
+      if (this.#failures) {
+        this.log.info(
+          `Projector responding again after ${this.#failures} failed polls`
+        );
+        this.#failures = 0;
+      }
+      this.#faultStatus.update(
+        this.power.isEmergency,
+        "projector in emergency mode"
+      );
+    } catch (e) {
+      // Warn when the projector stops responding, not on every poll after
+      const failures = ++this.#failures;
+      if (failures === 1) {
+        this.log.warn(`Projector not responding: ${describeError(e)}`);
+      } else {
+        this.log.debug(describeError(e));
+      }
+      if (failures >= JvcDlaAccessory.#FAULT_AFTER_FAILURES) {
+        this.#faultStatus.update(
+          true,
+          `${failures} consecutive communication failures`
+        );
+      }
+      if (
+        failures % JvcDlaAccessory.#LOCATE_AFTER_FAILURES === 0 &&
+        isLan(this.#config) &&
+        this.#config.mac &&
+        this.#jvc.host !== undefined
+      ) {
+        await this.#locate();
+      }
+    }
+    this.#polling = false;
+
+    const delay = this.#nextPollDelay;
+    if (delay !== this.#pollDelay) {
+      this.#pollDelay = delay;
+      this.log.debug(`Update #poll delay to: ${delay / 1000}s`);
+    }
+    this.#schedulePoll(delay);
+  }
+
+  // Turns the projector off if the sleep timer or the auto-off policy say so
+  async #autoPowerOff() {
+    const reason = this.#autoOff.due();
+    if (reason !== undefined && this.power.isOn) {
+      this.log.info(`Turn off: ${reason}`);
+      await this.requestPower(false);
+    }
+  }
+
+  // Fast while the projector is warming up or cooling down, or has a pending
+  // power request, and for a while after a command; otherwise depending on
+  // whether the projector is off.
+  get #nextPollDelay() {
+    const power = this.power;
+    if (
+      power.isWarming ||
+      power.isCooling ||
+      this.state.get("pendingPower") !== undefined ||
+      Date.now() < this.#fastPollUntil
+    ) {
+      return this.#pollDelays.fast;
+    }
+    return power.isOff ? this.#pollDelays.off : this.#pollDelays.on;
+  }
+
+  // Polls fast for a while, bringing the next poll forward if need be, to
+  // pick up the effects of a command quickly
+  #pollFast() {
+    this.#fastPollUntil = Date.now() + JvcDlaAccessory.#FAST_POLL_DURATION;
+    const delay = this.#pollDelays.fast;
+    if (!this.#polling && this.#pollDue > Date.now() + delay) {
+      this.#schedulePoll(delay);
+    }
+  }
+
+  #schedulePoll(delay) {
+    clearTimeout(this.#pollTimer);
+    if (this.#stopped) {
+      return;
+    }
+    this.#pollDue = Date.now() + delay;
+    this.#pollTimer = setTimeout(() => this.#poll(), delay);
+    this.#pollTimer.unref();
+  }
+}
+
+class JvcDlaPlatform {
+  static #RETRY_DELAY = 60 * 1000;
+
+  #accessories = new Map(); // UUID => cached PlatformAccessory
+  #configured = new Set(); // UUIDs of the configured projectors' accessories
+  #pending = new Set(); // configs of projectors waiting to be identified
+
+  constructor(log, config, api) {
+    this.log = log;
+    this.config = config;
+    this.api = api;
+    api.on("didFinishLaunching", () => this.#configureAll());
+  }
+
+  configureAccessory(platformAccessory) {
+    this.log.info(`Restore accessory: ${platformAccessory.displayName}`);
+    this.#accessories.set(platformAccessory.UUID, platformAccessory);
+  }
+
+  async #configureAll() {
+    const projectors = this.config.projectors ?? [];
+    await Promise.all(projectors.map((config) => this.#tryConfigure(config)));
+    this.#removeStale();
+  }
+
+  // Sets up the projector's accessory, logging rather than throwing if that
+  // fails (e.g. for an invalid password), so the other projectors still are
+  async #tryConfigure(config) {
+    try {
+      const uuid = await this.#configure(config);
+      if (uuid !== undefined) {
+        this.#configured.add(uuid);
+      }
+    } catch (e) {
+      this.log.error(`${config.name}: ${describeError(e)}`);
+    }
+  }
+
+  async #retry(config) {
+    this.#pending.delete(config);
+    await this.#tryConfigure(config);
+    this.#removeStale();
+  }
+
+  // Removes the cached accessories of projectors that are no longer
+  // configured. While a projector is waiting to be identified, any of them
+  // could be its accessory, so none are removed.
+  #removeStale() {
+    if (this.#pending.size) {
+      return;
+    }
+    const stale = [...this.#accessories.values()].filter(
+      (platformAccessory) => !this.#configured.has(platformAccessory.UUID)
+    );
+    if (stale.length) {
+      stale.forEach((platformAccessory) => {
+        this.log.info(
+          `Remove stale accessory: ${platformAccessory.displayName}`
+        );
+        this.#accessories.delete(platformAccessory.UUID);
+      });
+      this.api.unregisterPlatformAccessories(PLUGIN_NAME, PLATFORM_NAME, stale);
+    }
+  }
+
+  // Identifies the projector by its MAC address (configured, or else queried
+  // from the projector, along with its model) and sets up its accessory.
+  // Projectors on a serial transport are identified by their serial port or
+  // gateway instead. If the projector can't be reached, falls back to the
+  // cached accessory for the same host, or failing that, retries later.
+  // Returns the UUID of the accessory, if any.
+  async #configure(config) {
+    if (config.transport === "serial") {
+      if (!config.serial_path) {
+        this.log.error(`${config.name}: serial_path must be configured`);
+        return;
+      }
+    } else if (!config.host && !(config.mac && isLan(config))) {
+      this.log.error(`${config.name}: either host or mac must be configured`);
+      return;
+    }
+    const identity =
+      config.mac || !isLan(config) ? {} : await this.#identify(config);
+    const mac = config.mac ? Discovery.normalizeMac(config.mac) : identity.mac;
+    const id = mac ?? JvcDlaPlatform.#serialId(config);
+    let platformAccessory;
+    if (id) {
+      const uuid = hap.uuid.generate(`${PLUGIN_NAME}:${id}`);
+      platformAccessory = this.#accessories.get(uuid);
+    } else {
+      platformAccessory = [...this.#accessories.values()].find(
+        (platformAccessory) => platformAccessory.context.host === config.host
+      );
+      if (platformAccessory === undefined) {
+        this.log.info(
+          `Could not identify ${config.name} (${config.host}), ` +
+            `retrying in ${JvcDlaPlatform.#RETRY_DELAY / 1000}s`
+        );
+        this.#pending.add(config);
+        const timeoutObj = setTimeout(
+          () =>
+            this.#retry(config).catch((e) =>
+              this.log.error(`${config.name}: ${describeError(e)}`)
+            ),
+          JvcDlaPlatform.#RETRY_DELAY
+        );
+        timeoutObj.unref();
+        return;
+      }
+    }
+
+    const isNew = platformAccessory === undefined;
+    if (isNew) {
+      this.log.info(`Add accessory: ${config.name} (${id})`);
+      platformAccessory = new this.api.platformAccessory(
+        config.name,
+        hap.uuid.generate(`${PLUGIN_NAME}:${id}`),
+        hap.Categories.OTHER
+      );
+      platformAccessory.context.mac = mac;
+    }
+    platformAccessory.context.host = config.host;
+    if (identity.model !== undefined) {
+      platformAccessory.context.model = identity.model;
+    }
+
+    // HomeKit shows only one Television per bridge, so each projector's is
+    // published as an accessory of its own, which isn't cached
+    const televisionAccessory = new this.api.platformAccessory(
+      config.name,
+      hap.uuid.generate(`${PLUGIN_NAME}:${id ?? config.host}:television`),
+      hap.Categories.TELEVISION
+    );
+    televisionAccessory
+      .getService(Service.AccessoryInformation)
+      .setCharacteristic(Characteristic.Manufacturer, "JVC")
+      .setCharacteristic(
+        Characteristic.Model,
+        platformAccessory.context.model ?? "Unknown"
+      )
+      .setCharacteristic(Characteristic.SerialNumber, id ?? config.host);
+
+    const accessory = new JvcDlaAccessory(
+      this.log,
+      config,
+      this.api,
+      platformAccessory,
+      televisionAccessory
+    );
+    const services = accessory.getServices();
+    platformAccessory.services
+      .filter((service) => !services.includes(service))
+      .forEach((service) => platformAccessory.removeService(service));
+
+    if (isNew) {
+      this.#accessories.set(platformAccessory.UUID, platformAccessory);
+      this.api.registerPlatformAccessories(PLUGIN_NAME, PLATFORM_NAME, [
+        platformAccessory,
+      ]);
+    } else {
+      this.api.updatePlatformAccessories([platformAccessory]);
+    }
+    this.api.publishExternalAccessories(PLUGIN_NAME, [televisionAccessory]);
+    return platformAccessory.UUID;
+  }
+
+  // e.g. "serial:/dev/ttyUSB0" or "tcp-serial:192.168.1.70:4999"
+  static #serialId(config) {
+    if (config.transport === "serial") {
+      return `serial:${config.serial_path}`;
+    }
+    if (config.transport === "tcp-serial") {
+      return `tcp-serial:${config.host}:${config.port ?? 20554}`;
+    }
+    return undefined;
+  }
+
+  async #identify(config) {
+    const jvc = new Jvc(jvcOptions(config));
+    try {
+      return {
+        mac: await jvc.getMacAddress(),
+        model: await jvc.getModelCode(),
+      };
+    } catch (e) {
+      this.log.info(e);
+      return {};
+    } finally {
+      jvc.disconnect();
+    }
   }
 }
@@ -64,16 +64,44 @@
 // - NZ800 / RS3200
 // - NZ900 / RS4200
 // https://www.jvc.com/usa/projectors/installers-calibrators/lan-connection-specification/
+//
+// Projectors without a LAN port are controlled over RS-232, with the same
+// commands but without the LAN handshake; see transport.js.
 
 "use strict";
 const assert = require("node:assert");
-const { createHash } = require('node:crypto');
-const { PromiseSocket, TimeoutError } = require("promise-socket");
+const { createHash } = require("node:crypto");
+const { TimeoutError: SocketTimeoutError } = require("promise-socket");
+const Models = require("./models");
+const Transport = require("./transport");
+
+const abortError = (signal) =>
+  new CommandError("Aborted", { cause: signal.reason });
 
-const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+// Resolves after ms, or rejects once signal (an AbortSignal) is aborted
+const sleep = (ms, signal = undefined) =>
+  new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timeoutObj);
+      reject(abortError(signal));
+    };
+    const timeoutObj = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
 const bytes = (s) => Buffer.from(s, "latin1");
 const latin1 = (buf, ...args) => buf.slice(...args).toString("latin1");
 const sha256hex = (s) => createHash("sha256").update(s).digest("hex");
+// Picture adjustment values (e.g. brightness) are sent as 4 hex digits, in
+// 16-bit two's complement
+const encodeValue = (n) =>
+  (n & 0xffff).toString(16).toUpperCase().padStart(4, "0");
+const decodeValue = (s) => {
+  const n = parseInt(s, 16);
+  return n >= 0x8000 ? n - 0x10000 : n;
+};
 const hex = (buf, ...args) =>
   buf
     .slice(...args)
@@ -82,6 +110,13 @@ const hex = (buf, ...args) =>
     .filter((x) => !!x)
     .join(" ");
 
+// Log record fields for a handshake frame
+const handshakeFrame = (direction, buf) => ({
+  command: "handshake",
+  direction,
+  bytes: hex(buf),
+});
+
 const [PJ_OK, PJ_NG, PJREQ, PJACK, PJNAK, JVCKWPJ] = [
   "PJ_OK",
   "PJ_NG",
@@ -123,6 +158,124 @@ class Power {
   }
 }
 
+class Input {
+  static Component = new Input("Component");
+  static PC = new Input("PC");
+  static HDMI1 = new Input("HDMI1");
+  static HDMI2 = new Input("HDMI2");
+  constructor(name) {
+    this.name = name;
+  }
+  toString() {
+    return this.name;
+  }
+}
+
+class PictureMode {
+  // Picture mode (PMPM) codes. The set of modes, and in a few cases the code
+  // assigned to a mode, differs between model years, so the table is chosen
+  // by the generation of the model code reported by getModelCode().
+  static #Legacy = {
+    Film: "00",
+    Cinema: "01",
+    Animation: "02",
+    Natural: "03",
+    "User 1": "0C",
+    "User 2": "0D",
+    "User 3": "0E",
+    "User 4": "0F",
+    "User 5": "10",
+  };
+  static #Model2018 = {
+    Film: "00",
+    Cinema: "01",
+    Animation: "02",
+    Natural: "03",
+    HDR10: "04",
+    THX: "06",
+    "Frame Adapt HDR": "0B",
+    "User 1": "0C",
+    "User 2": "0D",
+    "User 3": "0E",
+    "User 4": "0F",
+    "User 5": "10",
+    "User 6": "11",
+    HLG: "14",
+  };
+  static #Model2021 = {
+    Film: "00",
+    Cinema: "01",
+    Natural: "03",
+    HDR10: "04",
+    THX: "06",
+    "Frame Adapt HDR": "0B",
+    "User 1": "0C",
+    "User 2": "0D",
+    "User 3": "0E",
+    "User 4": "0F",
+    "User 5": "10",
+    "User 6": "11",
+    HLG: "14",
+    "HDR10+": "15",
+    "Pana PQ": "16",
+    Filmmaker: "17",
+    "Frame Adapt HDR2": "18",
+    "Frame Adapt HDR3": "19",
+  };
+  static #Model2024 = {
+    Film: "00",
+    Cinema: "01",
+    Natural: "03",
+    HDR10: "04",
+    "Frame Adapt HDR": "0B",
+    "User 1": "0C",
+    "User 2": "0D",
+    "User 3": "0E",
+    "User 4": "0F",
+    "User 5": "10",
+    "User 6": "11",
+    HLG: "14",
+    "HDR10+": "15",
+    Filmmaker: "17",
+    "Frame Adapt HDR2": "18",
+    "Frame Adapt HDR3": "19",
+    Vivid: "1B",
+  };
+
+  // Returns an object mapping mode name to PMPM code for the given model code
+  static forModel(model = undefined) {
+    switch (Models.lookup(model).generation) {
+    case "2024":
+      return PictureMode.#Model2024;
+    case "2021":
+      return PictureMode.#Model2021;
+    case "2018":
+      return PictureMode.#Model2018;
+    default:
+      return PictureMode.#Legacy;
+    }
+  }
+}
+
+class LightPower {
+  // Lamp power or laser power (PMLP) codes, depending on the model's light
+  // source (see models.js)
+  static #Lamp = {
+    Normal: "0",
+    High: "1",
+  };
+  static #Laser = {
+    Low: "0",
+    Mid: "2",
+    High: "1",
+  };
+
+  // Returns an object mapping level name to PMLP code for the light source
+  static forLightSource(lightSource = "lamp") {
+    return lightSource === "laser" ? LightPower.#Laser : LightPower.#Lamp;
+  }
+}
+
 class CommandError extends Error {
   constructor(...args) {
     super(...args);
@@ -130,8 +283,50 @@ class CommandError extends Error {
   }
 }
 
+// The projector didn't respond in time
+class TimeoutError extends CommandError {
+  constructor(...args) {
+    super(...args);
+    this.name = "TimeoutError";
+  }
+}
+
+// The projector rejected the connection (PJ_NG) or the password (PJNAK).
+// retry is whether connecting again might succeed.
+class HandshakeError extends CommandError {
+  constructor(message, { retry = false, ...options } = {}) {
+    super(message, options);
+    this.name = "HandshakeError";
+    this.retry = retry;
+  }
+}
+
+// The projector sent something other than what the protocol calls for
+class ProtocolError extends CommandError {
+  constructor(...args) {
+    super(...args);
+    this.name = "ProtocolError";
+  }
+}
+
+// Wraps an error while waiting for `what` (e.g. a command) in the
+// CommandError subclass for it
+const commandError = (e, what) => {
+  if (e instanceof CommandError) {
+    return e;
+  }
+  if (e instanceof SocketTimeoutError) {
+    return new TimeoutError(`Timed out waiting for ${what}`, { cause: e });
+  }
+  return new CommandError(e.message, { cause: e });
+};
+
 class Command {
-  constructor(type, code, length, decode) {
+  // How long the projector may take to ACK a lens move
+  static LENS_TIMEOUT = 60 * 1000;
+
+  // timeout, if given, overrides Jvc's default timeout for this command
+  constructor(type, code, length, decode, timeout = undefined) {
     assert(
       (type === REFERENCE && length > 0 && typeof decode === "function") ||
         (type == OPERATION && length === undefined && decode == undefined)
@@ -140,6 +335,7 @@ class Command {
     this.code = code;
     this.length = length;
     this.decode = decode;
+    this.timeout = timeout;
   }
 
   toString() {
@@ -162,24 +358,136 @@ class Command {
     return 5 /* response_prefix */ + this.length + 1 /* \n */;
   }
 
+  // Build commands that aren't in the tables below. `code` is the command
+  // code without header, unit ID or end (e.g. "PMPM01"). A reference also
+  // needs the length of the response data and optionally a function to
+  // decode it; by default the response is returned as a string.
+  static operation(code) {
+    Command.#validateCode(code);
+    // Lens memory and installation mode operations move the lens
+    return /^IN(ML|IM)/.test(code)
+      ? Command.#LensOperation(code)
+      : new Command(OPERATION, code);
+  }
+
+  static reference(code, length, decode = (s) => s) {
+    Command.#validateCode(code);
+    if (!Number.isInteger(length) || length <= 0) {
+      throw new CommandError(`Invalid response length: ${length}`);
+    }
+    if (typeof decode !== "function") {
+      throw new CommandError("Invalid decode function");
+    }
+    return new Command(REFERENCE, code, length, decode);
+  }
+
+  static #validateCode(code) {
+    if (typeof code !== "string" || code.length < 2 || code.includes(END)) {
+      throw new CommandError(`Invalid command code: ${JSON.stringify(code)}`);
+    }
+  }
+
   static #Operation = (...args) => new Command(OPERATION, ...args);
+  static #LensOperation = (code) =>
+    new Command(OPERATION, code, undefined, undefined, Command.LENS_TIMEOUT);
   static Operation = {
     Null: Command.#Operation("\x00\x00"),
     Power: {
       Off: Command.#Operation("PW0"),
       On: Command.#Operation("PW1"),
     },
+    Input: {
+      Component: Command.#Operation("IP2"),
+      PC: Command.#Operation("IP3"),
+      HDMI1: Command.#Operation("IP6"),
+      HDMI2: Command.#Operation("IP7"),
+    },
+    PictureMode: (code) => Command.#Operation(`PMPM${code}`),
+    LightPower: (code) => Command.#Operation(`PMLP${code}`),
+    LaserValue: (value) => Command.#Operation(`PMCV${encodeValue(value)}`),
+    Brightness: (value) => Command.#Operation(`PMBR${encodeValue(value)}`),
+    Contrast: (value) => Command.#Operation(`PMCN${encodeValue(value)}`),
+    Gamma: {
+      2.2: Command.#Operation("PMGT0"),
+      "Cinema 1": Command.#Operation("PMGT1"),
+      "Cinema 2": Command.#Operation("PMGT2"),
+      "Custom 1": Command.#Operation("PMGT4"),
+      "Custom 2": Command.#Operation("PMGT5"),
+      "Custom 3": Command.#Operation("PMGT6"),
+      "HDR (HLG)": Command.#Operation("PMGT7"),
+      2.4: Command.#Operation("PMGT8"),
+      2.6: Command.#Operation("PMGT9"),
+      "Film 1": Command.#Operation("PMGTA"),
+      "Film 2": Command.#Operation("PMGTB"),
+      "HDR (PQ)": Command.#Operation("PMGTC"),
+    },
+    // Remote control emulation
+    RemoteKey: {
+      Up: Command.#Operation("RC7301"),
+      Down: Command.#Operation("RC7302"),
+      Left: Command.#Operation("RC7336"),
+      Right: Command.#Operation("RC7334"),
+      OK: Command.#Operation("RC732F"),
+      Back: Command.#Operation("RC7303"),
+      Menu: Command.#Operation("RC732E"),
+      Info: Command.#Operation("RC7374"),
+      Hide: Command.#Operation("RC731D"),
+      Input: Command.#Operation("RC7308"),
+      LensControl: Command.#Operation("RC7330"),
+    },
     LensMemory: {
-      1: Command.#Operation("INML0"),
-      2: Command.#Operation("INML1"),
-      3: Command.#Operation("INML2"),
-      4: Command.#Operation("INML3"),
-      5: Command.#Operation("INML4"),
-      6: Command.#Operation("INML5"),
-      7: Command.#Operation("INML6"),
-      8: Command.#Operation("INML7"),
-      9: Command.#Operation("INML8"),
-      10: Command.#Operation("INML9"),
+      1: Command.#LensOperation("INML0"),
+      2: Command.#LensOperation("INML1"),
+      3: Command.#LensOperation("INML2"),
+      4: Command.#LensOperation("INML3"),
+      5: Command.#LensOperation("INML4"),
+      6: Command.#LensOperation("INML5"),
+      7: Command.#LensOperation("INML6"),
+      8: Command.#LensOperation("INML7"),
+      9: Command.#LensOperation("INML8"),
+      10: Command.#LensOperation("INML9"),
+    },
+    // Stores the current lens shift, zoom and focus in a lens memory
+    LensMemorySave: {
+      1: Command.#Operation("INMS0"),
+      2: Command.#Operation("INMS1"),
+      3: Command.#Operation("INMS2"),
+      4: Command.#Operation("INMS3"),
+      5: Command.#Operation("INMS4"),
+      6: Command.#Operation("INMS5"),
+      7: Command.#Operation("INMS6"),
+      8: Command.#Operation("INMS7"),
+      9: Command.#Operation("INMS8"),
+      10: Command.#Operation("INMS9"),
+    },
+    LensMemoryName: (memory, name) =>
+      Command.#Operation(`INMN${memory - 1}${name}`),
+    // Installation modes recall a lens memory together with the masking,
+    // anamorphic and pixel adjust settings stored with it (2018 and later)
+    InstallationMode: {
+      1: Command.#LensOperation("INIM0"),
+      2: Command.#LensOperation("INIM1"),
+      3: Command.#LensOperation("INIM2"),
+      4: Command.#LensOperation("INIM3"),
+      5: Command.#LensOperation("INIM4"),
+      6: Command.#LensOperation("INIM5"),
+      7: Command.#LensOperation("INIM6"),
+      8: Command.#LensOperation("INIM7"),
+      9: Command.#LensOperation("INIM8"),
+      10: Command.#LensOperation("INIM9"),
+    },
+    Anamorphic: {
+      Off: Command.#Operation("INVS0"),
+      A: Command.#Operation("INVS1"),
+      B: Command.#Operation("INVS2"),
+      C: Command.#Operation("INVS3"),
+      D: Command.#Operation("INVS4"),
+    },
+    Mask: {
+      "Custom 1": Command.#Operation("ISMA0"),
+      "Custom 2": Command.#Operation("ISMA1"),
+      Off: Command.#Operation("ISMA2"),
+      "Custom 3": Command.#Operation("ISMA3"),
     },
   };
 
@@ -194,135 +502,486 @@ class Command {
         4: Power.Emergency, // Emergency
       }[c];
     }),
-    LensMemory: Command.#Reference("INML", 1, (c) => parseInt(c) + 1),
+    Input: Command.#Reference("IP", 1, (c) => {
+      return {
+        2: Input.Component, // Component (pre-2015 models)
+        3: Input.PC, // PC (pre-2015 models)
+        6: Input.HDMI1, // HDMI 1
+        7: Input.HDMI2, // HDMI 2
+      }[c];
+    }),
+    // The lens memory last selected, which the projector keeps reporting
+    // after the lens has been moved by hand; see getLensPosition()
+    LensMemory: Command.#Reference("INML", 1, (c) =>
+      /^\d$/.test(c) ? parseInt(c) + 1 : undefined
+    ),
+    // Lens shift, zoom and focus positions (2018 and later models)
+    LensShiftHorizontal: Command.#Reference("INSH", 4, (s) => parseInt(s, 16)),
+    LensShiftVertical: Command.#Reference("INSV", 4, (s) => parseInt(s, 16)),
+    LensZoom: Command.#Reference("INZM", 4, (s) => parseInt(s, 16)),
+    LensFocus: Command.#Reference("INFC", 4, (s) => parseInt(s, 16)),
+    InstallationMode: Command.#Reference("INIM", 1, (c) =>
+      /^\d$/.test(c) ? parseInt(c) + 1 : undefined
+    ),
+    Anamorphic: Command.#Reference("INVS", 1, (c) => {
+      return (
+        {
+          0: "Off",
+          1: "A",
+          2: "B",
+          3: "C",
+          4: "D",
+        }[c] ?? c
+      );
+    }),
+    Mask: Command.#Reference("ISMA", 1, (c) => {
+      return (
+        {
+          0: "Custom 1",
+          1: "Custom 2",
+          2: "Off",
+          3: "Custom 3",
+        }[c] ?? c
+      );
+    }),
     Model: Command.#Reference("MD", 14, (s) => s),
     SoftwareVersion: Command.#Reference("IFSV", 6, (s) => s),
     MacAddress: Command.#Reference("LSMA", 12, (s) => s),
+    LightSourceHours: Command.#Reference("IFLT", 4, (s) => parseInt(s, 16)),
+    PictureMode: Command.#Reference("PMPM", 2, (s) => s),
+    LightPower: Command.#Reference("PMLP", 1, (c) => c),
+    LaserValue: Command.#Reference("PMCV", 4, decodeValue),
+    Brightness: Command.#Reference("PMBR", 4, decodeValue),
+    Contrast: Command.#Reference("PMCN", 4, decodeValue),
+    Gamma: Command.#Reference("PMGT", 1, (c) => {
+      return (
+        {
+          0: "2.2",
+          1: "Cinema 1",
+          2: "Cinema 2",
+          4: "Custom 1",
+          5: "Custom 2",
+          6: "Custom 3",
+          7: "HDR (HLG)",
+          8: "2.4",
+          9: "2.6",
+          A: "Film 1",
+          B: "Film 2",
+          C: "HDR (PQ)",
+        }[c] ?? c
+      );
+    }),
+    // Source signal: whether there is one, then its resolution, HDR type
+    // and color space, whose unknown codes decode as the code itself
+    SourceState: Command.#Reference("SC", 1, (c) => c === "1"),
+    Resolution: Command.#Reference("IFIS", 2, (s) => {
+      return (
+        {
+          "02": "480p",
+          "03": "576p",
+          "04": "720p50",
+          "05": "720p60",
+          "06": "1080i50",
+          "07": "1080i60",
+          "08": "1080p24",
+          "09": "1080p50",
+          "0A": "1080p60",
+          "0B": "No Signal",
+          "0C": "720p 3D",
+          "0D": "1080i 3D",
+          "0E": "1080p 3D",
+          "0F": "Out of Range",
+          10: "4K(4096)60",
+          11: "4K(4096)50",
+          12: "4K(4096)30",
+          13: "4K(4096)25",
+          14: "4K(4096)24",
+          15: "4K(3840)60",
+          16: "4K(3840)50",
+          17: "4K(3840)30",
+          18: "4K(3840)25",
+          19: "4K(3840)24",
+          "1C": "1080p25",
+          "1D": "1080p30",
+          "1E": "2048x1080p24",
+          "1F": "2048x1080p25",
+          20: "2048x1080p30",
+          21: "2048x1080p50",
+          22: "2048x1080p60",
+          23: "4K(3840)120",
+          24: "4K(4096)120",
+        }[s] ?? s
+      );
+    }),
+    HdrType: Command.#Reference("IFHR", 1, (c) => {
+      return (
+        {
+          0: "SDR",
+          1: "HDR10",
+          2: "HLG",
+          3: "HDR10+",
+        }[c] ?? c
+      );
+    }),
+    ColorSpace: Command.#Reference("IFCM", 1, (c) => {
+      return (
+        {
+          0: "RGB",
+          1: "YCbCr 4:4:4",
+          2: "YCbCr 4:2:2",
+          3: "YCbCr 4:2:0",
+        }[c] ?? c
+      );
+    }),
   };
 }
 
 class Jvc {
   static Operation = Command.Operation;
   static Reference = Command.Reference;
+  static operation = Command.operation;
+  static reference = Command.reference;
   static CommandError = CommandError;
   static TimeoutError = TimeoutError;
+  static HandshakeError = HandshakeError;
+  static ProtocolError = ProtocolError;
   static Power = Power;
+  static Input = Input;
+  static PictureMode = PictureMode;
+  static LightPower = LightPower;
 
+  // transport is "lan" (default), "tcp-serial" or "serial"; the serial
+  // transport uses path and baudRate instead of host and port. SerialPort
+  // replaces the serialport package's class, for tests.
   constructor({
     host,
     port = 20554,
+    transport = "lan",
+    path = undefined,
+    baudRate = undefined,
+    SerialPort = undefined,
     password = undefined,
-    is_2024_model = false,
+    is_2024_model = undefined,
+    timeout = 2 * 1000,
+    retries = 5,
+    retryDelay = 1000,
+    connectDeadline = 15 * 1000,
+    keepalive = 4 * 1000,
+    idleTimeout = 60 * 1000,
     debug = () => undefined,
+    log = undefined,
+    trace = undefined,
   } = {}) {
     assert(password === undefined || typeof password === "string");
     if (password) {
       assert(password.length >= 8);
-      if (is_2024_model) {
-        // 2024 models: append JVCKWPJ and convert to sha256 hexdigest
-        assert(password.length <= 10);
-        password = sha256hex(`${password}${JVCKWPJ}`);
-      } else {
-        // 2021 models: pad out to 16 with null bytes
-        assert(password.length <= 16);
-        password = password.padEnd(16, "\x00");
-      }
+      assert(password.length <= (is_2024_model ? 10 : 16));
     }
     assert(debug === undefined || typeof debug === "function");
+    assert(log === undefined || typeof log === "object");
+    assert(trace === undefined || typeof trace === "function");
+    if (!Transport.TRANSPORTS.includes(transport)) {
+      throw new CommandError(`Invalid transport: ${transport}`);
+    }
     this.host = host;
     this.port = port;
+    this.transport = transport;
+    this.path = path;
+    this.baudRate = baudRate;
+    this.SerialPort = SerialPort;
     this.password = password;
+    // Whether the password is sent the 2024 way. Unless is_2024_model is
+    // given, it is set from the model code once that is known, and until then
+    // alternates between the 2021 and 2024 ways when the projector rejects
+    // the password.
+    this.is_2024_model = is_2024_model ?? false;
+    this._detectPasswordScheme = is_2024_model === undefined;
+    this.timeout = timeout;
+    this.retries = retries;
+    this.retryDelay = retryDelay;
+    this.connectDeadline = connectDeadline;
+    // The connection is kept open between commands. While it is open a Null
+    // command is sent every `keepalive` ms so that the projector doesn't drop
+    // it, until `idleTimeout` ms have passed without any other command, at
+    // which point it is closed so that other controllers may connect.
+    this.keepalive = keepalive;
+    this.idleTimeout = idleTimeout;
+    // Messages go to log (e.g. Homebridge's logger) at their level, if
+    // given, or else to debug whatever their level
     this.debug = debug;
+    this.log = log;
+    this.trace = trace;
+    this.model = undefined;
+    this.capabilities = Models.lookup();
     this.sock = null;
+    this._queue = Promise.resolve();
+    this._keepaliveTimer = null;
+    this._lastActivity = 0;
   }
 
   async _connect() {
     this.disconnect();
 
-    const sock = (this.sock = new PromiseSocket());
-
-    sock.setTimeout(2 * 1000);
-
-    await sock.connect({
+    const sock = await Transport.connect({
+      transport: this.transport,
       host: this.host,
       port: this.port,
+      path: this.path,
+      baudRate: this.baudRate,
+      SerialPort: this.SerialPort,
+      timeout: this.timeout,
+    });
+    this.sock = sock;
+    sock.stream.once("close", () => {
+      if (this.sock === sock) {
+        this._log("info", "Connection closed");
+        this.disconnect();
+      }
     });
 
+    if (Transport.hasHandshake(this.transport)) {
+      try {
+        await this._handshake(sock);
+      } catch (e) {
+        throw commandError(e, "handshake");
+      }
+    }
+
+    // Issue null command to ensure we're connected
+    await this._send(Jvc.Operation.Null);
+  }
+
+  async _handshake(sock) {
     // Check for PJ_OK or PJ_NG
     let resp = await sock.read(PJ_OK.length);
-    if (PJ_NG.equals(resp)) {
-      this.debug("<<< PJ_NG");
-      throw new CommandError("Connection rejected with PJ_NG");
+    if (resp !== undefined && PJ_NG.equals(resp)) {
+      this._log("debug", "<<< PJ_NG", handshakeFrame("rx", resp));
+      // e.g. while another client is connected, so worth retrying
+      throw new HandshakeError("Connection rejected with PJ_NG", {
+        retry: true,
+      });
     }
-    if (!PJ_OK.equals(resp)) {
-      throw new CommandError("Did not receive PJ_OK");
+    if (resp === undefined || !PJ_OK.equals(resp)) {
+      throw new ProtocolError("Did not receive PJ_OK");
     }
-    this.debug("<<< PJ_OK");
+    this._log("debug", "<<< PJ_OK", handshakeFrame("rx", resp));
 
     // Send PJREQ with optional password
     const pjreq = this.password
-      ? bytes(`${latin1(PJREQ)}_${this.password}`)
+      ? bytes(`${latin1(PJREQ)}_${this._encodePassword()}`)
       : PJREQ;
 
-    this.debug(`>>> PJREQ ${hex(pjreq)}`);
+    // Leave the password out of the logs
+    this._log("debug", `>>> PJREQ${this.password ? "_<password>" : ""}`, {
+      ...handshakeFrame("tx", PJREQ),
+      password: !!this.password,
+    });
     await sock.write(pjreq);
 
     // Check for PJACK or PJNAK
     resp = await sock.read(PJACK.length);
-    if (!PJACK.equals(resp)) {
-      throw new CommandError(
-        PJNAK.equals(resp)
-          ? "Projector sent PJNAK (check password, if any)"
-          : "Did not receive PJACK"
+    if (resp !== undefined && PJNAK.equals(resp)) {
+      let retry = false;
+      if (
+        this.password &&
+        this._detectPasswordScheme &&
+        this.model === undefined &&
+        this.password.length <= 10
+      ) {
+        this.is_2024_model = !this.is_2024_model;
+        this._log(
+          "info",
+          `Next try a ${this.is_2024_model ? 2024 : 2021} password`
+        );
+        retry = true;
+      }
+      throw new HandshakeError(
+        "Projector sent PJNAK (check password, if any)",
+        { retry }
       );
     }
-    this.debug("<<< PJACK");
+    if (resp === undefined || !PJACK.equals(resp)) {
+      throw new ProtocolError("Did not receive PJACK");
+    }
+    this._log("debug", "<<< PJACK", handshakeFrame("rx", resp));
+  }
 
-    // Issue null command to ensure we're connected
-    await this._send(Jvc.Operation.Null);
+  _encodePassword() {
+    if (this.is_2024_model) {
+      // 2024 models: append JVCKWPJ and convert to sha256 hexdigest
+      return sha256hex(`${this.password}${JVCKWPJ}`);
+    }
+    // 2021 models: pad out to 16 with null bytes
+    return this.password.padEnd(16, "\x00");
   }
 
-  async connect() {
-    for (let attempt = 1; attempt <= 10; attempt++) {
+  // Tries to connect up to `retries` times, waiting a little longer after
+  // each failed attempt, until `connectDeadline` ms have passed or signal
+  // (an AbortSignal) is aborted. A wrong password isn't retried, and is
+  // rethrown as is, so that it can be told apart from an unreachable host.
+  async connect({ signal = undefined } = {}) {
+    const deadline = Date.now() + this.connectDeadline;
+    let error;
+    for (let attempt = 1; ; attempt++) {
+      if (signal?.aborted) {
+        throw abortError(signal);
+      }
       try {
         await this._connect();
         return;
       } catch (e) {
-        if (attempt > 3) {
-          console.error(e);
+        error = e;
+        this._log("debug", `Connect attempt ${attempt} failed: ${e.message}`);
+        if (e instanceof HandshakeError && !e.retry) {
+          throw e;
         }
-        await sleep(attempt * 1100);
       }
+      const delay = attempt * this.retryDelay;
+      if (attempt >= this.retries || Date.now() + delay >= deadline) {
+        break;
+      }
+      await sleep(delay, signal);
     }
-    throw new CommandError("Did not connect");
+    throw new CommandError("Did not connect", { cause: error });
   }
 
   disconnect() {
+    clearTimeout(this._keepaliveTimer);
+    this._keepaliveTimer = null;
     if (this.sock !== null) {
-      this.sock.destroy();
+      const sock = this.sock;
       this.sock = null;
+      sock.destroy();
     }
   }
 
   setTimeout(ms) {
-    if (this.sock !== null) {
-      this.sock.setTimeout(ms);
+    this.timeout = ms;
+  }
+
+  // Run `task` once every previously queued task has finished. If signal
+  // (an AbortSignal) is aborted before then, the task is dropped from the
+  // queue and the result rejects right away.
+  _enqueue(task, signal = undefined) {
+    if (signal?.aborted) {
+      return Promise.reject(abortError(signal));
+    }
+    let onAbort;
+    const result = this._queue.then(() => {
+      // Once started, the task itself sees to the signal
+      signal?.removeEventListener("abort", onAbort);
+      return signal?.aborted ? undefined : task();
+    });
+    this._queue = result.catch(() => undefined);
+    if (signal === undefined) {
+      return result;
+    }
+    return new Promise((resolve, reject) => {
+      onAbort = () => reject(abortError(signal));
+      signal.addEventListener("abort", onAbort, { once: true });
+      result.then(resolve, reject);
+    });
+  }
+
+  _scheduleKeepalive() {
+    clearTimeout(this._keepaliveTimer);
+    this._keepaliveTimer = null;
+    if (this.sock === null || !this.keepalive) {
+      return;
+    }
+    this._keepaliveTimer = setTimeout(() => {
+      this._enqueue(async () => {
+        if (this.sock === null) {
+          return;
+        }
+        if (Date.now() - this._lastActivity >= this.idleTimeout) {
+          this._log("info", "Disconnecting idle connection");
+          this.disconnect();
+          return;
+        }
+        try {
+          await this._send(Jvc.Operation.Null);
+        } catch (e) {
+          this._log("warn", `Keepalive failed: ${e.message}`);
+          this.disconnect();
+        }
+      }).finally(() => this._scheduleKeepalive());
+    }, this.keepalive);
+    this._keepaliveTimer.unref();
+  }
+
+  // Reports a log record: its message to log at its level, or to debug, and
+  // the whole record to trace. Records have a time, a level ("debug", "info"
+  // or "warn") and a message; protocol frames also have the command code,
+  // direction ("tx" or "rx") and bytes (in hex), and finished commands the
+  // command code, outcome ("ok", "timeout" or "error") and latency (in ms).
+  _log(level, message, fields = {}) {
+    if (this.log) {
+      this.log[level](message);
+    } else {
+      this.debug(message);
     }
+    this.trace?.({ time: new Date().toISOString(), level, message, ...fields });
   }
 
-  async _send(command) {
-    this.debug(`CMD ${command}`);
+  _logFrame(label, direction, command, buf) {
+    const data = buf === undefined ? "" : hex(buf);
+    this._log("debug", `${label} ${data}`, {
+      command: command.code,
+      direction,
+      bytes: data,
+    });
+  }
 
+  async _send(command, timeout = this.timeout) {
+    this._log("debug", `CMD ${command}`);
+
+    // Time out only while waiting for the projector, so that the connection
+    // stays open while idle between commands
+    const { sock } = this;
+    sock.setTimeout(timeout);
+    const start = Date.now();
+    try {
+      const result = await this._exchange(command);
+      const latency = Date.now() - start;
+      this._log("debug", `${command} OK in ${latency}ms`, {
+        command: command.code,
+        outcome: "ok",
+        latency,
+      });
+      return result;
+    } catch (e) {
+      const error = commandError(e, command);
+      const latency = Date.now() - start;
+      this._log(
+        "debug",
+        `${command} failed in ${latency}ms: ${error.message}`,
+        {
+          command: command.code,
+          outcome: error instanceof TimeoutError ? "timeout" : "error",
+          latency,
+          error: error.message,
+        }
+      );
+      throw error;
+    } finally {
+      if (this.sock === sock) {
+        sock.setTimeout(0);
+      }
+    }
+  }
+
+  async _exchange(command) {
     const { type, request, ack } = command;
 
-    this.debug(`>>> ${hex(request)}`);
+    this._logFrame(">>>", "tx", command, request);
     await this.sock.write(request);
 
     let resp = await this.sock.read(ack.length);
-    this.debug(`ACK ${hex(resp)}`);
+    this._logFrame("ACK", "rx", command, resp);
 
-    if (!ack.equals(resp)) {
-      throw new CommandError("Did not receive ACK");
+    if (resp === undefined || !ack.equals(resp)) {
+      throw new ProtocolError(`Did not receive ACK for ${command}`);
     }
 
     if (type === OPERATION) {
@@ -332,29 +991,56 @@ class Jvc {
     const { response_length, response_prefix } = command;
 
     resp = await this.sock.read(response_length);
-    this.debug(`<<< ${hex(resp)}`);
+    this._logFrame("<<<", "rx", command, resp);
 
-    if (!response_prefix.equals(resp.slice(0, response_prefix.length))) {
-      throw new CommandError("Did not receive response prefix");
+    if (
+      resp === undefined ||
+      !response_prefix.equals(resp.slice(0, response_prefix.length))
+    ) {
+      throw new ProtocolError(`Did not receive response for ${command}`);
     }
 
     if (latin1(resp, -1) !== END) {
-      throw new CommandError("Did not receive response end");
+      throw new ProtocolError(`Did not receive response end for ${command}`);
     }
 
     return command.decode(latin1(resp, response_prefix.length, -1));
   }
 
-  async send(command) {
-    try {
-      if (this.sock === null) {
-        await this.connect();
+  // Sends command, waiting up to timeout ms (by default the command's own
+  // timeout, if any, else this.timeout) for its ACK and response. signal (an
+  // AbortSignal) cancels the command while it waits for earlier commands or
+  // to connect.
+  async send(command, { timeout = undefined, signal = undefined } = {}) {
+    timeout = timeout ?? command.timeout ?? this.timeout;
+    return await this._enqueue(async () => {
+      this._lastActivity = Date.now();
+      try {
+        // A reused connection may have been dropped by the projector since
+        // the last command, so reconnect and retry once if it fails for any
+        // reason other than a timeout.
+        const reused = this.sock !== null;
+        try {
+          if (!reused) {
+            await this.connect({ signal });
+          }
+          return await this._send(command, timeout);
+        } catch (e) {
+          if (!reused || e instanceof TimeoutError) {
+            throw e;
+          }
+          this._log("info", `Reconnecting after: ${e.message}`);
+          this.disconnect();
+          await this.connect({ signal });
+          return await this._send(command, timeout);
+        }
+      } catch (e) {
+        this.disconnect();
+        throw commandError(e, command);
+      } finally {
+        this._scheduleKeepalive();
       }
-      return await this._send(command);
-    } catch (e) {
-      this.disconnect();
-      throw new CommandError(e.message, { cause: e });
-    }
+    }, signal);
   }
 
   async getPower() {
@@ -365,12 +1051,62 @@ class Jvc {
     await this.send(on ? Jvc.Operation.Power.On : Jvc.Operation.Power.Off);
   }
 
+  async getInput() {
+    return await this.send(Jvc.Reference.Input);
+  }
+
+  async setInput(input) {
+    const command = Jvc.Operation.Input[`${input}`];
+    if (command === undefined) {
+      throw new CommandError(`Invalid input: ${input}`);
+    }
+    await this.send(command);
+  }
+
+  async pressKey(key) {
+    const command = Jvc.Operation.RemoteKey[key];
+    if (command === undefined) {
+      throw new CommandError(`Invalid key: ${key}`);
+    }
+    await this.send(command);
+  }
+
   async getModelCode() {
     const value = await this.send(Jvc.Reference.Model);
     const match = /^ILAFPJ -- (.{4})$/.exec(value);
     if (match) {
-      return match[1].replace(/^-/, "");
+      this.model = match[1].replace(/^-/, "");
+      this.capabilities = Models.lookup(this.model);
+      const { password } = this.capabilities;
+      if (
+        this._detectPasswordScheme &&
+        ["padded", "sha256"].includes(password)
+      ) {
+        this.is_2024_model = password === "sha256";
+      }
+      return this.model;
+    }
+  }
+
+  async getPictureModes() {
+    if (this.model === undefined) {
+      await this.getModelCode();
     }
+    return PictureMode.forModel(this.model);
+  }
+
+  async getPictureMode() {
+    const code = await this.send(Jvc.Reference.PictureMode);
+    const modes = await this.getPictureModes();
+    return Object.keys(modes).find((mode) => modes[mode] === code) ?? code;
+  }
+
+  async setPictureMode(mode) {
+    const code = (await this.getPictureModes())[mode];
+    if (code === undefined) {
+      throw new CommandError(`Invalid picture mode: ${mode}`);
+    }
+    await this.send(Jvc.Operation.PictureMode(code));
   }
 
   async getMacAddress() {
@@ -383,17 +1119,196 @@ class Jvc {
     return match ? `${match[1]}.${match[2]}` : value;
   }
 
+  async getLightPowers() {
+    if (this.model === undefined) {
+      await this.getModelCode();
+    }
+    return LightPower.forLightSource(this.capabilities.lightSource);
+  }
+
+  // Lamp power (e.g. "High"), or laser power on laser models
+  async getLightPower() {
+    const code = await this.send(Jvc.Reference.LightPower);
+    const levels = await this.getLightPowers();
+    return Object.keys(levels).find((level) => levels[level] === code) ?? code;
+  }
+
+  async setLightPower(level) {
+    const code = (await this.getLightPowers())[level];
+    if (code === undefined) {
+      throw new CommandError(`Invalid light power: ${level}`);
+    }
+    await this.send(Jvc.Operation.LightPower(code));
+  }
+
+  // Throws unless the model has a laser dimming value (see models.js)
+  async _checkLaserValue() {
+    if (this.model === undefined) {
+      await this.getModelCode();
+    }
+    if (this.capabilities.ranges.laserValue === undefined) {
+      throw new CommandError(`Laser value not supported by ${this.model}`);
+    }
+  }
+
+  // Laser dimming value, which fine-tunes the laser power on laser models
+  async getLaserValue() {
+    await this._checkLaserValue();
+    return await this.send(Jvc.Reference.LaserValue);
+  }
+
+  async setLaserValue(value) {
+    await this._checkLaserValue();
+    this._checkRange("laserValue", value);
+    await this.send(Jvc.Operation.LaserValue(value));
+  }
+
+  async getBrightness() {
+    return await this.send(Jvc.Reference.Brightness);
+  }
+
+  async setBrightness(value) {
+    this._checkRange("brightness", value);
+    await this.send(Jvc.Operation.Brightness(value));
+  }
+
+  async getContrast() {
+    return await this.send(Jvc.Reference.Contrast);
+  }
+
+  async setContrast(value) {
+    this._checkRange("contrast", value);
+    await this.send(Jvc.Operation.Contrast(value));
+  }
+
+  async getGamma() {
+    return await this.send(Jvc.Reference.Gamma);
+  }
+
+  async setGamma(gamma) {
+    const command = Jvc.Operation.Gamma[gamma];
+    if (command === undefined) {
+      throw new CommandError(`Invalid gamma: ${gamma}`);
+    }
+    await this.send(command);
+  }
+
+  // Throws unless value is an integer in the model's range for the setting
+  _checkRange(setting, value) {
+    const [min, max] = this.capabilities.ranges[setting];
+    if (!Number.isInteger(value) || value < min || value > max) {
+      throw new CommandError(
+        `Invalid ${setting}: ${value} (expected ${min} to ${max})`
+      );
+    }
+  }
+
+  // Lamp hours, or laser hours on laser models
+  async getLightSourceHours() {
+    return await this.send(Jvc.Reference.LightSourceHours);
+  }
+
+  // True while the projector is receiving a valid source signal
+  async getSourceState() {
+    return await this.send(Jvc.Reference.SourceState);
+  }
+
+  // e.g. "1080p60" or "4K(3840)24"
+  async getResolution() {
+    return await this.send(Jvc.Reference.Resolution);
+  }
+
+  // "SDR", "HDR10", "HLG" or "HDR10+"
+  async getHdrType() {
+    return await this.send(Jvc.Reference.HdrType);
+  }
+
+  async getColorSpace() {
+    return await this.send(Jvc.Reference.ColorSpace);
+  }
+
   async getLensMemory() {
     return await this.send(Jvc.Reference.LensMemory);
   }
 
+  // Returns { shiftHorizontal, shiftVertical, zoom, focus }, the current lens
+  // position, which matches the position stored in the selected lens memory
+  // unless the lens has been moved since
+  async getLensPosition() {
+    if (!this.capabilities.lensPosition) {
+      throw new CommandError(`Lens position not supported by ${this.model}`);
+    }
+    return {
+      shiftHorizontal: await this.send(Jvc.Reference.LensShiftHorizontal),
+      shiftVertical: await this.send(Jvc.Reference.LensShiftVertical),
+      zoom: await this.send(Jvc.Reference.LensZoom),
+      focus: await this.send(Jvc.Reference.LensFocus),
+    };
+  }
+
+  // Returns the command for memory from table, if the model has that memory
+  _lensMemoryCommand(table, memory) {
+    const command = table[memory];
+    if (command === undefined || memory > this.capabilities.lensMemories) {
+      throw new CommandError(`Invalid memory: ${memory}`);
+    }
+    return command;
+  }
+
   async setLensMemory(memory) {
-    const command = Jvc.Operation.LensMemory[memory];
+    await this.send(this._lensMemoryCommand(Jvc.Operation.LensMemory, memory));
+  }
+
+  async saveLensMemory(memory) {
+    await this.send(
+      this._lensMemoryCommand(Jvc.Operation.LensMemorySave, memory)
+    );
+  }
+
+  async getInstallationMode() {
+    return await this.send(Jvc.Reference.InstallationMode);
+  }
+
+  async setInstallationMode(mode) {
+    const command = Jvc.Operation.InstallationMode[mode];
+    if (command === undefined || mode > this.capabilities.installationModes) {
+      throw new CommandError(`Invalid installation mode: ${mode}`);
+    }
+    await this.send(command);
+  }
+
+  async getAnamorphic() {
+    return await this.send(Jvc.Reference.Anamorphic);
+  }
+
+  async setAnamorphic(mode) {
+    const command = Jvc.Operation.Anamorphic[mode];
     if (command === undefined) {
-      throw new CommandError(`Invalid memory: ${memory}`);
+      throw new CommandError(`Invalid anamorphic mode: ${mode}`);
+    }
+    await this.send(command);
+  }
+
+  async getMask() {
+    return await this.send(Jvc.Reference.Mask);
+  }
+
+  async setMask(mask) {
+    const command = Jvc.Operation.Mask[mask];
+    if (command === undefined) {
+      throw new CommandError(`Invalid mask: ${mask}`);
     }
     await this.send(command);
   }
+
+  // Names are up to 10 printable ASCII characters
+  async setLensMemoryName(memory, name) {
+    this._lensMemoryCommand(Jvc.Operation.LensMemory, memory);
+    if (!/^[\x20-\x7e]{1,10}$/.test(name)) {
+      throw new CommandError(`Invalid lens memory name: ${name}`);
+    }
+    await this.send(Jvc.Operation.LensMemoryName(memory, name));
+  }
 }
 
 module.exports = Jvc;
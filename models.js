@@ -0,0 +1,171 @@
+// models.js
+// ~~~~~~~~~
+// Capabilities of JVC D-ILA projector models, keyed by the model code that
+// the MD reference reports (e.g. "B2A1"; see getModelCode() in jvc.js).
+//
+// Each model has:
+// - name: the models sharing the code
+// - generation: the protocol generation, which picks the picture mode
+//   table: "legacy", "2018", "2021" or "2024"
+// - password: how the LAN password is sent: "none" (no password support),
+//   "padded" (2021 models) or "sha256" (2024 models)
+// - lightSource: "lamp" or "laser"
+// - lensMemories: the number of lens memories (0 for none)
+// - lensPosition: whether the lens shift, zoom and focus positions can be
+//   read (INSH, INSV, INZM and INFC)
+// - installationModes: the number of installation modes (0 for none)
+// - signalInfo: whether the source resolution, HDR type and color space can
+//   be read (IFIS, IFHR and IFCM)
+// - ranges: the [min, max] of each picture adjustment setting the model has
+//
+// Models that aren't listed get the capabilities of their generation, going
+// by the model code's prefix, or failing that (and before the model is
+// known) the UNKNOWN capabilities, which assume everything is supported.
+// The exception is the lens position, which is only read from listed models:
+// a projector that doesn't answer its references would fail every poll.
+
+"use strict";
+
+// Brightness and contrast are -50 to 50 on every model in the
+// specifications; laser models also have a laser dimming value, 0 to 100
+const ADJUSTMENT_RANGES = {
+  brightness: [-50, 50],
+  contrast: [-50, 50],
+};
+const LASER_ADJUSTMENT_RANGES = { ...ADJUSTMENT_RANGES, laserValue: [0, 100] };
+
+const LEGACY = {
+  generation: "legacy",
+  password: "none",
+  lightSource: "lamp",
+  lensMemories: 10,
+  lensPosition: false,
+  installationModes: 0,
+  signalInfo: false,
+  ranges: ADJUSTMENT_RANGES,
+};
+
+// Lens memory arrived with the 2011 models
+const LEGACY_NO_LENS_MEMORY = { ...LEGACY, lensMemories: 0 };
+
+// The 2013 and 2014 models have five lens memories
+const MODEL_2013 = { ...LEGACY, lensMemories: 5 };
+
+// The 2015 models added installation modes, and the 2017 models HDR and
+// the source signal references
+const MODEL_2015 = { ...LEGACY, installationModes: 10 };
+const MODEL_2017 = { ...MODEL_2015, signalInfo: true };
+
+const MODEL_2018 = {
+  generation: "2018",
+  password: "none",
+  lightSource: "lamp",
+  lensMemories: 10,
+  lensPosition: true,
+  installationModes: 10,
+  signalInfo: true,
+  ranges: ADJUSTMENT_RANGES,
+};
+
+const MODEL_2021 = {
+  generation: "2021",
+  password: "padded",
+  lightSource: "laser",
+  lensMemories: 10,
+  lensPosition: true,
+  installationModes: 10,
+  signalInfo: true,
+  ranges: LASER_ADJUSTMENT_RANGES,
+};
+
+const MODEL_2024 = {
+  generation: "2024",
+  password: "sha256",
+  lightSource: "laser",
+  lensMemories: 10,
+  lensPosition: true,
+  installationModes: 10,
+  signalInfo: true,
+  ranges: LASER_ADJUSTMENT_RANGES,
+};
+
+const UNKNOWN = {
+  name: undefined,
+  generation: undefined,
+  password: undefined,
+  lightSource: undefined,
+  lensMemories: 10,
+  lensPosition: false,
+  installationModes: 10,
+  signalInfo: true,
+  ranges: LASER_ADJUSTMENT_RANGES,
+};
+
+// From the specifications listed in jvc.js
+const MODELS = {
+  XH4: { ...LEGACY_NO_LENS_MEMORY, name: "DLA-HD350" },
+  XH7: { ...LEGACY_NO_LENS_MEMORY, name: "DLA-RS10" },
+  XH5: { ...LEGACY_NO_LENS_MEMORY, name: "DLA-HD750, DLA-RS20" },
+  XH8: { ...LEGACY_NO_LENS_MEMORY, name: "DLA-HD550" },
+  XHA: { ...LEGACY_NO_LENS_MEMORY, name: "DLA-RS15" },
+  XH9: {
+    ...LEGACY_NO_LENS_MEMORY,
+    name: "DLA-HD950, DLA-HD990, DLA-RS25, DLA-RS35",
+  },
+  XHB: { ...LEGACY, name: "DLA-X3, DLA-RS40" },
+  XHC: { ...LEGACY, name: "DLA-X7, DLA-X9, DLA-RS50, DLA-RS60" },
+  XHE: { ...LEGACY, name: "DLA-X30, DLA-RS45" },
+  XHF: { ...LEGACY, name: "DLA-X70R, DLA-X90R, DLA-RS55, DLA-RS65" },
+  XHH1: { ...MODEL_2013, name: "DLA-X35, RS46, RS4810" },
+  XHH3: { ...MODEL_2013, name: "DLA-X55R, X75R, X95R, RS48, RS56, RS66" },
+  XHK1: { ...MODEL_2013, name: "DLA-X500R, RS49" },
+  XHK2: { ...MODEL_2013, name: "DLA-RS4910" },
+  XHK3: { ...MODEL_2013, name: "DLA-X700R, X900R, RS57, RS67, RS6710" },
+  XHP1: { ...MODEL_2015, name: "DLA-X550R, X5000, XC5890R, RS400 Series" },
+  XHP2: { ...MODEL_2015, name: "DLA-XC6890 Series" },
+  XHP3: {
+    ...MODEL_2015,
+    name: "DLA-X750R, X7000, XC7890R, RS500, X950R, X9000, RS600, PX1 Series",
+  },
+  XHR1: { ...MODEL_2017, name: "DLA-X570R, RS420 Series" },
+  XHR3: { ...MODEL_2017, name: "DLA-X770R, RS520, X970R, RS620 Series" },
+  B2A1: { ...MODEL_2018, name: "DLA-RS3000, NX9, NX11, V9R Series" },
+  B2A2: { ...MODEL_2018, name: "DLA-RS2000, NX7, N8, V7 Series" },
+  B2A3: { ...MODEL_2018, name: "DLA-RS1000, NX5, N5, N6, V5 Series" },
+  B5A1: { ...MODEL_2021, name: "DLA-NZ9, RS4100" },
+  B5A2: { ...MODEL_2021, name: "DLA-NZ8, RS3100" },
+  B5A3: { ...MODEL_2021, name: "DLA-NZ7, RS2100" },
+  B5B1: {
+    ...MODEL_2021,
+    name: "DLA-NP5, RS1100",
+    lightSource: "lamp",
+    ranges: ADJUSTMENT_RANGES,
+  },
+  B8A1: { ...MODEL_2024, name: "DLA-NZ900, RS4200" },
+  B8A2: { ...MODEL_2024, name: "DLA-NZ800, RS3200" },
+  B8A3: { ...MODEL_2024, name: "DLA-NZ700, RS2200" },
+  B8B1: { ...MODEL_2024, name: "DLA-NZ500, RS1200" },
+};
+
+const GENERATIONS = [
+  [/^B8/, MODEL_2024],
+  [/^B5/, MODEL_2021],
+  [/^B2/, MODEL_2018],
+  [/^XH/, LEGACY],
+];
+
+// Returns the capabilities of the model with the given code, which may be
+// undefined if the model isn't known (yet)
+function lookup(model = undefined) {
+  if (model === undefined) {
+    return { model, ...UNKNOWN };
+  }
+  if (Object.hasOwn(MODELS, model)) {
+    return { model, ...MODELS[model] };
+  }
+  const [, capabilities = UNKNOWN] =
+    GENERATIONS.find(([pattern]) => pattern.test(model)) ?? [];
+  return { model, ...capabilities, name: undefined, lensPosition: false };
+}
+
+module.exports = { lookup, MODELS, UNKNOWN };
@@ -0,0 +1,192 @@
+// mqtt.js
+// ~~~~~~~
+// Optional MQTT bridge for a projector accessory, e.g. for Home Assistant.
+//
+// Publishes the accessory's state to retained topics under
+// <prefix>/<id>/ (power, lens_memory, model, mac, firmware) and an
+// availability topic, announces the entities with Home Assistant MQTT
+// discovery payloads, and accepts commands on <prefix>/<id>/power/set
+// ("ON" or "OFF") and <prefix>/<id>/lens_memory/set ("1" - "10"). Commands
+// go through the accessory, so they are serialized with everything else it
+// sends.
+
+"use strict";
+const Jvc = require("./jvc");
+
+// State keys, and the topics they are published to
+const TOPICS = {
+  power: "power",
+  lensMemory: "lens_memory",
+  model: "model",
+  mac: "mac",
+  softwareVersion: "firmware",
+};
+
+const LENS_MEMORIES = Object.keys(Jvc.Operation.LensMemory);
+
+// A topic-safe id, e.g. "Living Room Projector" => "living_room_projector"
+const slug = (name) =>
+  `${name}`
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_|_$/g, "");
+
+const format = (key, value) => {
+  if (key === "lensMemory" && value === undefined) {
+    return "custom"; // the lens doesn't match any memory
+  }
+  return value === undefined ? "" : `${value}`;
+};
+
+class MqttBridge {
+  #accessory;
+  #client;
+  #id;
+  #base;
+  #discoveryPrefix;
+
+  // connect(url, options) returns an MQTT.js client; tests pass a stand-in
+  constructor(
+    accessory,
+    {
+      url,
+      prefix = "jvc-dla",
+      discovery_prefix = "homeassistant",
+      username = undefined,
+      password = undefined,
+    },
+    connect = (...args) => require("mqtt").connect(...args)
+  ) {
+    this.log = accessory.log;
+    this.#accessory = accessory;
+    this.#id = slug(accessory.name);
+    this.#base = `${prefix}/${this.#id}`;
+    this.#discoveryPrefix = discovery_prefix;
+
+    const availability = `${this.#base}/availability`;
+    this.#client = connect(url, {
+      username,
+      password,
+      will: { topic: availability, payload: "offline", retain: true },
+    });
+    this.#client.on("connect", () => {
+      this.log.info(`MQTT connected to ${url}`);
+      this.#publish(availability, "online");
+      this.#publishDiscovery();
+      Object.keys(TOPICS).forEach((key) => {
+        if (accessory.state.has(key)) {
+          this.#publishState(key, accessory.state.get(key));
+        }
+      });
+      this.#client.subscribe([
+        `${this.#base}/power/set`,
+        `${this.#base}/lens_memory/set`,
+      ]);
+    });
+    this.#client.on("error", (e) => this.log.info(`MQTT: ${e.message}`));
+    this.#client.on("message", (topic, payload) =>
+      this.#command(topic, `${payload}`).catch((e) =>
+        this.log.info(`MQTT ${topic}: ${e.message}`)
+      )
+    );
+
+    accessory.state.on("change", (key, value) => {
+      if (key in TOPICS && this.#client.connected) {
+        this.#publishState(key, value);
+        if (key === "model" || key === "softwareVersion") {
+          this.#publishDiscovery();
+        }
+      }
+    });
+  }
+
+  close() {
+    this.#publish(`${this.#base}/availability`, "offline");
+    this.#client.end();
+  }
+
+  #publish(topic, payload) {
+    this.#client.publish(topic, payload, { retain: true });
+  }
+
+  #publishState(key, value) {
+    this.#publish(`${this.#base}/${TOPICS[key]}`, format(key, value));
+  }
+
+  async #command(topic, payload) {
+    if (topic === `${this.#base}/power/set`) {
+      if (payload !== "ON" && payload !== "OFF") {
+        throw new Error(`Invalid payload: ${payload}`);
+      }
+      this.log.info(`MQTT set power to: ${payload}`);
+      await this.#accessory.requestPower(payload === "ON");
+    } else if (topic === `${this.#base}/lens_memory/set`) {
+      if (!LENS_MEMORIES.includes(payload)) {
+        throw new Error(`Invalid payload: ${payload}`);
+      }
+      this.log.info(`MQTT set lens memory to: ${payload}`);
+      await this.#accessory.setLensMemory(Number(payload));
+    }
+  }
+
+  // Home Assistant MQTT discovery: a switch for power, a select for the lens
+  // memory, and diagnostic sensors
+  #publishDiscovery() {
+    const { state } = this.#accessory;
+    const base = this.#base;
+    const id = this.#id;
+    const device = {
+      identifiers: [id],
+      name: this.#accessory.name,
+      manufacturer: "JVC",
+      model: state.get("model"),
+      sw_version: state.get("softwareVersion"),
+    };
+    const common = {
+      availability_topic: `${base}/availability`,
+      device,
+    };
+    const entities = {
+      "switch/power": {
+        name: "Power",
+        state_topic: `${base}/power`,
+        value_template: "{{ 'ON' if value in ['On', 'Warming'] else 'OFF' }}",
+        command_topic: `${base}/power/set`,
+      },
+      "sensor/power_state": {
+        name: "Power State",
+        state_topic: `${base}/power`,
+      },
+      "select/lens_memory": {
+        name: "Lens Memory",
+        state_topic: `${base}/lens_memory`,
+        command_topic: `${base}/lens_memory/set`,
+        options: LENS_MEMORIES,
+      },
+      "sensor/model": {
+        name: "Model",
+        state_topic: `${base}/model`,
+        entity_category: "diagnostic",
+      },
+      "sensor/mac": {
+        name: "MAC Address",
+        state_topic: `${base}/mac`,
+        entity_category: "diagnostic",
+      },
+      "sensor/firmware": {
+        name: "Firmware",
+        state_topic: `${base}/firmware`,
+        entity_category: "diagnostic",
+      },
+    };
+    Object.entries(entities).forEach(([path, config]) => {
+      const [component, object] = path.split("/");
+      this.#publish(
+        `${this.#discoveryPrefix}/${component}/${id}/${object}/config`,
+        JSON.stringify({ ...config, unique_id: `${id}_${object}`, ...common })
+      );
+    });
+  }
+}
+
+module.exports = MqttBridge;
@@ -1,35 +1,118 @@
 #!/usr/bin/env node
 "use strict";
 const Jvc = require("./jvc");
+const Discovery = require("./discovery");
+const Trace = require("./trace");
 const { exit } = require("node:process");
 const { parseArgs: _parseArgs } = require("node:util");
 
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
 function usage() {
-  console.log("usage: ping.js [options...] <host>");
+  console.log("usage: ping.js [options...] <host> [<command> [<args>...]]");
+  console.log("       ping.js [options...] discover [<subnet>]");
+  console.log("       ping.js replay <trace>");
+  console.log("");
+  console.log("commands:");
+  console.log(" status             Show projector status (default)");
+  console.log(" power [on|off]     Show or set power");
+  console.log(" lens [<1-10>]      Show or load lens memory");
+  console.log(" lens-save <1-10> [<name>]");
+  console.log(
+    "                    Save the lens position, and name, to memory"
+  );
+  console.log(" installation-mode [<1-10>]");
+  console.log("                    Show or load installation mode");
+  console.log(" anamorphic [<mode>]");
+  console.log("                    Show or set anamorphic (Off, A, B, C, D)");
+  console.log(" mask [<mask>]      Show or set mask (Off, Custom 1, ...)");
+  console.log(" input [<input>]    Show or select input (HDMI1, HDMI2, ...)");
+  console.log(" picture-mode [<mode>|list]");
+  console.log("                    Show, select or list picture modes");
+  console.log(" light-power [<level>|list]");
+  console.log("                    Show, set or list lamp or laser power");
+  console.log(" laser-value [<n>]  Show or set laser value (0 - 100)");
+  console.log(" brightness [<n>]   Show or set brightness (-50 - 50)");
+  console.log(" contrast [<n>]     Show or set contrast (-50 - 50)");
+  console.log(
+    " gamma [<gamma>]    Show or set gamma (2.2, 2.4, Custom 1, ...)"
+  );
+  console.log(
+    " key <key>          Press a remote control key (Menu, Up, OK, ...)"
+  );
+  console.log(" watch              Show status changes until interrupted");
+  console.log(" raw <code>         Send an operation, or with --length, a");
+  console.log("                    reference and show the response");
+  console.log("");
+  console.log("options:");
   console.log(" -p, --password   Specify password (default: no password)");
-  console.log("     --2024       Specify projector is 2024 model year");
+  console.log(
+    "     --2024       Specify projector is 2024 model year (default: detect)"
+  );
   console.log(" -P, --port       Specify port (default: 20554)");
+  console.log(" -j, --json       Show status as JSON");
+  console.log(" -i, --interval   Seconds between watch polls (default: 5)");
+  console.log(" -l, --length     Response length of a raw reference");
   console.log(" -d, --debug      Enable debug output");
-  console.log(" --help           Show this message and quit");
+  console.log(" -t, --trace      Append a protocol trace to a JSONL file");
+  console.log("     --help       Show this message and quit");
   exit(1);
 }
 
+// Number of arguments each command accepts
+const COMMANDS = {
+  status: [0, 0],
+  power: [0, 1],
+  lens: [0, 1],
+  "lens-save": [1, 2],
+  "installation-mode": [0, 1],
+  anamorphic: [0, 1],
+  mask: [0, 1],
+  input: [0, 1],
+  "picture-mode": [0, 1],
+  "light-power": [0, 1],
+  "laser-value": [0, 1],
+  brightness: [0, 1],
+  contrast: [0, 1],
+  gamma: [0, 1],
+  key: [1, 1],
+  watch: [0, 0],
+  raw: [1, 1],
+};
+
 function parseArgs() {
   const options = {
     password: {
       type: "string",
       short: "p",
     },
-    "2024": {
+    2024: {
       type: "boolean",
     },
     port: {
       type: "string",
+      short: "P",
+    },
+    json: {
+      type: "boolean",
+      short: "j",
+    },
+    interval: {
+      type: "string",
+      short: "i",
+    },
+    length: {
+      type: "string",
+      short: "l",
     },
     debug: {
       type: "boolean",
       short: "d",
     },
+    trace: {
+      type: "string",
+      short: "t",
+    },
     help: {
       type: "boolean",
     },
@@ -41,31 +124,304 @@ function parseArgs() {
     console.log(`ping.js: ${e.message}`);
     usage();
   }
-  if (args.values.help || args.positionals.length !== 1) {
+  const { values, positionals } = args;
+  if (values.help || positionals.length < 1) {
+    usage();
+  }
+
+  if (positionals[0] === "discover") {
+    if (positionals.length > 2) {
+      usage();
+    }
+    return {
+      command: "discover",
+      subnet: positionals[1],
+      port: values.port,
+      password: values.password,
+      is_2024_model: values["2024"],
+    };
+  }
+
+  if (positionals[0] === "replay") {
+    if (positionals.length !== 2) {
+      usage();
+    }
+    return { command: "replay", path: positionals[1] };
+  }
+
+  const interval = values.interval === undefined ? 5 : Number(values.interval);
+  if (!Number.isFinite(interval) || interval <= 0) {
+    console.log(`ping.js: Invalid interval: ${values.interval}`);
+    usage();
+  }
+
+  const [host, command = "status", ...commandArgs] = positionals;
+  const range = COMMANDS[command];
+  if (
+    range === undefined ||
+    commandArgs.length < range[0] ||
+    commandArgs.length > range[1]
+  ) {
     usage();
   }
   return {
-    host: args.positionals[0],
-    port: args.values.port,
-    password: args.values.password,
-    is_2024_model: args.values["2024"],
-    debug: args.values.debug ? console.log : undefined,
+    command,
+    commandArgs,
+    json: values.json,
+    interval,
+    length: values.length === undefined ? undefined : Number(values.length),
+    host,
+    port: values.port,
+    password: values.password,
+    is_2024_model: values["2024"],
+    debug: values.debug ? console.log : undefined,
+    tracePath: values.trace,
   };
 }
 
-async function ping() {
-  const jvc = new Jvc(parseArgs());
+async function discover(args) {
+  const projectors = await Discovery.scan(args);
+  if (!projectors.length) {
+    console.log("No projectors found");
+  }
+  projectors.forEach(({ host, model, mac }) => {
+    console.log(`${host} Model ${model ?? "?"} Mac ${mac ?? "?"}`);
+  });
+}
+
+// Shows what each command in a trace decodes as
+async function replay(args) {
+  const results = Trace.replay(Trace.readTrace(args.path));
+  for await (const { time, type, command, value, error } of results) {
+    let result = type === "!" ? "ACK" : `${value}`;
+    if (error !== undefined) {
+      result = `ERR ${error}`;
+    }
+    console.log(`${time} ${command} ${result}`);
+  }
+}
+
+async function getStatus(jvc) {
   const power = await jvc.getPower();
-  console.log(`Power ${power}`);
-  console.log(`Model ${await jvc.getModelCode()}`);
-  console.log(`Mac ${await jvc.getMacAddress()}`);
+  const status = {
+    Power: power,
+    Model: await jvc.getModelCode(),
+    Mac: await jvc.getMacAddress(),
+  };
   if (power.isOn) {
+    status.Input = await jvc.getInput();
+    status.Lens = (await jvc.getLensMemory()) ?? "custom";
+    status.Mode = await jvc.getPictureMode();
+    status.Ver = await jvc.getSoftwareVersion();
+    status.Hours = await jvc.getLightSourceHours();
+  }
+  return status;
+}
+
+function printStatus(status, json) {
+  if (json) {
+    const values = Object.fromEntries(
+      Object.entries(status).map(([key, value]) => [
+        key.toLowerCase(),
+        typeof value === "object" ? `${value}` : value,
+      ])
+    );
+    console.log(JSON.stringify(values));
+    return;
+  }
+  Object.entries(status).forEach(([key, value]) => {
+    console.log(`${key} ${value}`);
+  });
+}
+
+const commands = {
+  async status(jvc, args) {
+    printStatus(await getStatus(jvc), args.json);
+  },
+
+  async power(jvc, args) {
+    const [value] = args.commandArgs;
+    if (value !== undefined) {
+      if (value !== "on" && value !== "off") {
+        throw new Error(`Invalid power: ${value}`);
+      }
+      await jvc.setPower(value === "on");
+    }
+    console.log(`Power ${await jvc.getPower()}`);
+  },
+
+  async lens(jvc, args) {
+    const [value] = args.commandArgs;
+    if (value !== undefined) {
+      await jvc.setLensMemory(Number(value));
+    }
+    console.log(`Lens ${(await jvc.getLensMemory()) ?? "custom"}`);
+  },
+
+  async "lens-save"(jvc, args) {
+    const [memory, name] = args.commandArgs;
+    await jvc.saveLensMemory(Number(memory));
+    if (name !== undefined) {
+      await jvc.setLensMemoryName(Number(memory), name);
+    }
     console.log(`Lens ${await jvc.getLensMemory()}`);
-    console.log(`Ver ${await jvc.getSoftwareVersion()}`);
+  },
+
+  async "installation-mode"(jvc, args) {
+    const [value] = args.commandArgs;
+    if (value !== undefined) {
+      await jvc.setInstallationMode(Number(value));
+    }
+    console.log(`Installation ${await jvc.getInstallationMode()}`);
+  },
+
+  async anamorphic(jvc, args) {
+    const [value] = args.commandArgs;
+    if (value !== undefined) {
+      await jvc.setAnamorphic(value);
+    }
+    console.log(`Anamorphic ${await jvc.getAnamorphic()}`);
+  },
+
+  async mask(jvc, args) {
+    const [value] = args.commandArgs;
+    if (value !== undefined) {
+      await jvc.setMask(value);
+    }
+    console.log(`Mask ${await jvc.getMask()}`);
+  },
+
+  async input(jvc, args) {
+    const [value] = args.commandArgs;
+    if (value !== undefined) {
+      await jvc.setInput(value);
+    }
+    console.log(`Input ${await jvc.getInput()}`);
+  },
+
+  async "picture-mode"(jvc, args) {
+    const [value] = args.commandArgs;
+    if (value === "list") {
+      Object.keys(await jvc.getPictureModes()).forEach((mode) => {
+        console.log(mode);
+      });
+      return;
+    }
+    if (value !== undefined) {
+      await jvc.setPictureMode(value);
+    }
+    console.log(`Mode ${await jvc.getPictureMode()}`);
+  },
+
+  async "light-power"(jvc, args) {
+    const [value] = args.commandArgs;
+    if (value === "list") {
+      Object.keys(await jvc.getLightPowers()).forEach((level) => {
+        console.log(level);
+      });
+      return;
+    }
+    if (value !== undefined) {
+      await jvc.setLightPower(value);
+    }
+    console.log(`Light ${await jvc.getLightPower()}`);
+  },
+
+  async "laser-value"(jvc, args) {
+    const [value] = args.commandArgs;
+    if (value !== undefined) {
+      await jvc.setLaserValue(Number(value));
+    }
+    console.log(`Laser value ${await jvc.getLaserValue()}`);
+  },
+
+  async brightness(jvc, args) {
+    const [value] = args.commandArgs;
+    if (value !== undefined) {
+      await jvc.setBrightness(Number(value));
+    }
+    console.log(`Brightness ${await jvc.getBrightness()}`);
+  },
+
+  async contrast(jvc, args) {
+    const [value] = args.commandArgs;
+    if (value !== undefined) {
+      await jvc.setContrast(Number(value));
+    }
+    console.log(`Contrast ${await jvc.getContrast()}`);
+  },
+
+  async gamma(jvc, args) {
+    const [value] = args.commandArgs;
+    if (value !== undefined) {
+      await jvc.setGamma(value);
+    }
+    console.log(`Gamma ${await jvc.getGamma()}`);
+  },
+
+  async key(jvc, args) {
+    const [key] = args.commandArgs;
+    await jvc.pressKey(key);
+    console.log(`Key ${key}`);
+  },
+
+  async watch(jvc, args) {
+    let previous = {};
+    for (;;) {
+      const status = await getStatus(jvc);
+      const changes = Object.fromEntries(
+        Object.entries(status).filter(
+          ([key, value]) => `${value}` !== `${previous[key]}`
+        )
+      );
+      if (Object.keys(changes).length) {
+        if (!args.json) {
+          console.log(`--- ${new Date().toISOString()}`);
+        }
+        printStatus(changes, args.json);
+      }
+      previous = status;
+      await sleep(args.interval * 1000);
+    }
+  },
+
+  async raw(jvc, args) {
+    const [code] = args.commandArgs;
+    if (args.length === undefined) {
+      await jvc.send(Jvc.operation(code));
+      console.log(`ACK ${code}`);
+    } else {
+      console.log(await jvc.send(Jvc.reference(code, args.length)));
+    }
+  },
+};
+
+async function main() {
+  const args = parseArgs();
+  if (args.command === "discover") {
+    await discover(args);
+    return;
+  }
+  if (args.command === "replay") {
+    await replay(args);
+    return;
+  }
+  const trace =
+    args.tracePath === undefined
+      ? undefined
+      : new Trace.TraceFile(args.tracePath);
+  const jvc = new Jvc({ ...args, trace: trace && ((r) => trace.write(r)) });
+  try {
+    await commands[args.command](jvc, args);
+  } finally {
+    jvc.disconnect();
+    await trace?.close();
   }
-  jvc.disconnect();
 }
 
-ping()
+main()
   .then()
-  .catch((error) => console.error(error));
+  .catch((error) => {
+    console.error(`ping.js: ${error.message}`);
+    process.exitCode = 1;
+  });
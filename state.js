@@ -0,0 +1,59 @@
+// state.js
+// ~~~~~~~~
+// Last known state of a projector.
+//
+// The accessory updates the state from what it reads from the projector and
+// from the commands it sends; services (and anything else interested)
+// subscribe to the keys they show. update() only emits for values that
+// changed: an event named after the key, with the new and previous values,
+// followed by a "change" event with the key, new and previous values.
+
+"use strict";
+const EventEmitter = require("node:events");
+
+// Values are primitives, shared instances (e.g. Jvc.Power.On) or plain
+// objects of primitives
+const isEqual = (a, b) =>
+  a === b ||
+  (typeof a === "object" &&
+    typeof b === "object" &&
+    a !== null &&
+    b !== null &&
+    JSON.stringify(a) === JSON.stringify(b));
+
+class ProjectorState extends EventEmitter {
+  #values;
+
+  constructor(values = {}) {
+    super();
+    this.#values = { ...values };
+  }
+
+  has(key) {
+    return key in this.#values;
+  }
+
+  get(key) {
+    return this.#values[key];
+  }
+
+  // Sets each key of values. A key that is set for the first time counts as
+  // changed, even if its value is undefined.
+  update(values) {
+    Object.entries(values).forEach(([key, value]) => {
+      const previous = this.#values[key];
+      if (this.has(key) && isEqual(value, previous)) {
+        return;
+      }
+      this.#values[key] = value;
+      this.emit(key, value, previous);
+      this.emit("change", key, value, previous);
+    });
+  }
+
+  toJSON() {
+    return { ...this.#values };
+  }
+}
+
+module.exports = ProjectorState;
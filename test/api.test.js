@@ -0,0 +1,179 @@
+"use strict";
+const assert = require("node:assert");
+const net = require("node:net");
+const { afterEach, beforeEach, describe, it } = require("node:test");
+const WebSocket = require("ws");
+const ApiServer = require("../api");
+const Jvc = require("../jvc");
+const ProjectorState = require("../state");
+
+// Stand-in for JvcDlaAccessory that records the commands it is asked to send
+class FakeAccessory {
+  constructor() {
+    this.log = { debug: () => undefined, info: () => undefined };
+    this.state = new ProjectorState({ power: Jvc.Power.On, lensMemory: 1 });
+    this.commands = [];
+  }
+
+  async requestPower(on) {
+    this.commands.push(["power", on]);
+    return true;
+  }
+
+  async setLensMemory(memory) {
+    this.commands.push(["lens", memory]);
+    return memory !== 10; // pretend memory 10 fails
+  }
+
+  async sendRaw(code) {
+    this.commands.push(["raw", code]);
+    return true;
+  }
+
+  async queryRaw(code, length) {
+    this.commands.push(["query", code, length]);
+    return "01";
+  }
+}
+
+describe("ApiServer", () => {
+  let accessory;
+  let server;
+
+  const request = async (method, path, body = undefined, headers = {}) => {
+    const res = await fetch(`http://127.0.0.1:${server.port}${path}`, {
+      method,
+      headers: { "Content-Type": "application/json", ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    return [res.status, await res.json()];
+  };
+
+  const start = async (options = {}) => {
+    accessory = new FakeAccessory();
+    server = new ApiServer(accessory, { port: 0, ...options });
+    await server.listen();
+  };
+
+  beforeEach(() => start());
+
+  afterEach(() => server.close());
+
+  it("returns the status", async () => {
+    assert.deepStrictEqual(await request("GET", "/status"), [
+      200,
+      { power: "On", lensMemory: 1 },
+    ]);
+  });
+
+  it("sends commands through the accessory", async () => {
+    assert.deepStrictEqual(await request("POST", "/power", { on: false }), [
+      200,
+      { ok: true },
+    ]);
+    assert.deepStrictEqual(await request("POST", "/lens", { memory: 3 }), [
+      200,
+      { ok: true },
+    ]);
+    assert.deepStrictEqual(await request("POST", "/raw", { code: "PMPM01" }), [
+      200,
+      { ok: true },
+    ]);
+    assert.deepStrictEqual(
+      await request("POST", "/raw", { code: "PMPM", length: 2 }),
+      [200, { ok: true, response: "01" }]
+    );
+    assert.deepStrictEqual(accessory.commands, [
+      ["power", false],
+      ["lens", 3],
+      ["raw", "PMPM01"],
+      ["query", "PMPM", 2],
+    ]);
+  });
+
+  it("reports bad requests and failed commands", async () => {
+    assert.strictEqual(
+      (await request("POST", "/power", { on: "yes" }))[0],
+      400
+    );
+    assert.strictEqual(
+      (await request("POST", "/lens", { memory: 11 }))[0],
+      400
+    );
+    assert.strictEqual(
+      (await request("POST", "/lens", { memory: 10 }))[0],
+      502
+    );
+    assert.strictEqual((await request("GET", "/lens"))[0], 404);
+  });
+
+  it("rejects bodies that aren't JSON objects", async () => {
+    for (const body of [null, [], 3, "on"]) {
+      assert.deepStrictEqual(await request("POST", "/power", body), [
+        400,
+        { error: "Expected a JSON object" },
+      ]);
+    }
+  });
+
+  it("rejects lens memories that aren't integers in range", async () => {
+    for (const memory of ["3", 2.5, 0, 11, null]) {
+      assert.strictEqual(
+        (await request("POST", "/lens", { memory }))[0],
+        400,
+        `memory ${JSON.stringify(memory)}`
+      );
+    }
+    accessory.capabilities = { lensMemories: 0 };
+    assert.strictEqual((await request("POST", "/lens", { memory: 1 }))[0], 400);
+    assert.deepStrictEqual(accessory.commands, []);
+  });
+
+  it("requires the token, if any", async () => {
+    await server.close();
+    await start({ token: "secret" });
+    assert.strictEqual((await request("GET", "/status"))[0], 401);
+    const authorization = { Authorization: "Bearer secret" };
+    assert.strictEqual(
+      (await request("GET", "/status", undefined, authorization))[0],
+      200
+    );
+    assert.strictEqual((await request("GET", "/status?token=secret"))[0], 200);
+  });
+
+  it("pushes state changes over a WebSocket", async () => {
+    const client = new WebSocket(`ws://127.0.0.1:${server.port}/events`);
+    const messages = [];
+    await new Promise((resolve) => {
+      client.on("message", (data) => {
+        messages.push(JSON.parse(data));
+        if (messages.length === 1) {
+          accessory.state.update({ power: Jvc.Power.Cooling });
+        } else {
+          resolve();
+        }
+      });
+    });
+    client.close();
+    assert.deepStrictEqual(messages, [
+      { state: { power: "On", lensMemory: 1 } },
+      { key: "power", value: "Cooling" },
+    ]);
+  });
+
+  it("survives an invalid WebSocket frame", async () => {
+    const socket = net.connect(server.port, "127.0.0.1");
+    socket.write(
+      "GET /events HTTP/1.1\r\n" +
+        "Host: 127.0.0.1\r\n" +
+        "Upgrade: websocket\r\n" +
+        "Connection: Upgrade\r\n" +
+        "Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==\r\n" +
+        "Sec-WebSocket-Version: 13\r\n\r\n"
+    );
+    await new Promise((resolve) => socket.once("data", resolve));
+    socket.write(Buffer.from([0x81, 0x02, 0x68, 0x69])); // unmasked "hi"
+    await new Promise((resolve) => socket.on("close", resolve).resume());
+    assert.strictEqual((await request("GET", "/status"))[0], 200);
+  });
+});
@@ -0,0 +1,80 @@
+"use strict";
+const assert = require("node:assert");
+const { after, before, describe, it } = require("node:test");
+const Discovery = require("../discovery");
+const Simulator = require("./simulator");
+
+describe("Discovery", () => {
+  let simulator;
+
+  before(async () => {
+    simulator = new Simulator({ state: { LSMA: "e0dadc0a1b2c" } });
+    await simulator.listen();
+  });
+
+  after(() => simulator.close());
+
+  it("enumerates the hosts of a subnet", () => {
+    const hosts = Discovery.hosts("192.168.1.77/24");
+    assert.strictEqual(hosts.length, 254);
+    assert.strictEqual(hosts[0], "192.168.1.1");
+    assert.strictEqual(hosts[253], "192.168.1.254");
+    assert.deepStrictEqual(Discovery.hosts("10.0.0.5/32"), ["10.0.0.5"]);
+  });
+
+  it("rejects invalid subnets", () => {
+    assert.throws(() => Discovery.hosts("192.168.1.0"), /Invalid subnet/);
+    assert.throws(() => Discovery.hosts("10.0.0.0/8"), /between \/16 and \/32/);
+  });
+
+  it("normalizes MAC addresses", () => {
+    assert.strictEqual(
+      Discovery.normalizeMac("e0:da:dc:0a:1b:2c"),
+      "E0DADC0A1B2C"
+    );
+  });
+
+  it("scans a subnet for projectors", async () => {
+    const projectors = await Discovery.scan({
+      subnet: "127.0.0.1/32",
+      port: simulator.port,
+    });
+    assert.deepStrictEqual(projectors, [
+      {
+        host: "127.0.0.1",
+        port: simulator.port,
+        model: "B2A1",
+        mac: "E0DADC0A1B2C",
+      },
+    ]);
+  });
+
+  it("finds a projector by MAC address", async () => {
+    const options = { subnet: "127.0.0.1/32", port: simulator.port };
+    const projector = await Discovery.find("E0:DA:DC:0A:1B:2C", options);
+    assert.strictEqual(projector.host, "127.0.0.1");
+    assert.strictEqual(
+      await Discovery.find("E0DADC000000", options),
+      undefined
+    );
+  });
+
+  it("retries identifying a projector only twice by default", async () => {
+    const projector = new Simulator();
+    await projector.listen();
+    // Accept the probe, then reject the connections that identify it
+    projector.server.on("connection", () => (projector.reject = true));
+    try {
+      const [found] = await Discovery.scan({
+        subnet: "127.0.0.1/32",
+        port: projector.port,
+        retries: undefined,
+        connectDeadline: undefined,
+      });
+      assert.strictEqual(found.mac, undefined);
+      assert.strictEqual(projector.connections, 3);
+    } finally {
+      await projector.close();
+    }
+  });
+});
@@ -0,0 +1,813 @@
+"use strict";
+const assert = require("node:assert");
+const EventEmitter = require("node:events");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const {
+  after,
+  afterEach,
+  before,
+  beforeEach,
+  describe,
+  it,
+} = require("node:test");
+const hap = require("hap-nodejs");
+const Simulator = require("./simulator");
+
+const { Characteristic, Service } = hap;
+
+// Stand-in for Homebridge's PlatformAccessory
+class PlatformAccessory extends hap.Accessory {
+  constructor(displayName, UUID, category) {
+    super(displayName, UUID);
+    this.category = category;
+    this.context = {};
+  }
+}
+
+let JvcDlaAccessory, JvcDlaPlatform;
+require("../index")({
+  hap,
+  registerAccessory: (name, constructor) => (JvcDlaAccessory = constructor),
+  registerPlatform: (name, constructor) => (JvcDlaPlatform = constructor),
+});
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const warnings = [];
+const log = {
+  debug: () => undefined,
+  info: () => undefined,
+  warn: (message) => warnings.push(message),
+  error: () => undefined,
+};
+
+describe("JvcDlaAccessory", () => {
+  let simulator;
+  const accessories = [];
+
+  const create = (config = {}) => {
+    const accessory = new JvcDlaAccessory(log, {
+      name: "Projector",
+      host: "127.0.0.1",
+      port: simulator.port,
+      ...config,
+    });
+    accessories.push(accessory);
+    const services = accessory.getServices();
+    const find = (type, subtype) =>
+      services.find(
+        (service) =>
+          service.UUID === type.UUID &&
+          (subtype === undefined || service.subtype === subtype)
+      );
+    return { accessory, services, find };
+  };
+
+  const operations = () =>
+    simulator.commands.filter((command) => command.startsWith("!"));
+
+  before(async () => {
+    simulator = new Simulator();
+    await simulator.listen();
+  });
+
+  after(() => simulator.close());
+
+  afterEach(() => {
+    accessories.forEach((accessory) => accessory.shutdown());
+    accessories.length = 0;
+  });
+
+  beforeEach(() => {
+    simulator.state.PW = "0";
+    simulator.commands = [];
+    warnings.length = 0;
+  });
+
+  it("exposes its services", () => {
+    const { services } = create({ picture_modes: ["Natural"] });
+    assert.deepStrictEqual(
+      services.map((service) => service.constructor.name),
+      [
+        "AccessoryInformation",
+        "Television",
+        "InputSource",
+        "InputSource",
+        "Switch",
+        "WindowCovering",
+        "Switch",
+      ]
+    );
+  });
+
+  it("exposes only the services the model supports", () => {
+    const platformAccessory = new PlatformAccessory(
+      "Projector",
+      hap.uuid.generate("XH4")
+    );
+    platformAccessory.context.model = "XH4";
+    const accessory = new JvcDlaAccessory(
+      log,
+      {
+        name: "Projector",
+        host: "127.0.0.1",
+        port: simulator.port,
+        picture_modes: ["Natural", "HDR10"],
+        lens_memories: [{ memory: 1, name: "Flat" }],
+        signal_sensors: true,
+      },
+      new EventEmitter(),
+      platformAccessory
+    );
+    accessories.push(accessory);
+    assert.deepStrictEqual(
+      accessory.getServices().map((service) => service.constructor.name),
+      [
+        "AccessoryInformation",
+        "Television",
+        "InputSource",
+        "InputSource",
+        "Switch",
+        "Switch",
+      ]
+    );
+    assert.ok(
+      platformAccessory.getServiceById(Service.Switch, "Natural") !== undefined
+    );
+  });
+
+  it("remembers the model in accessory mode", async () => {
+    const projector = new Simulator({ state: { MD: "ILAFPJ -- -XH4" } });
+    await projector.listen();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "jvc-dla-"));
+    const api = Object.assign(new EventEmitter(), {
+      user: { storagePath: () => dir },
+    });
+    const config = {
+      name: "Projector/1",
+      host: "127.0.0.1",
+      port: projector.port,
+      poll_interval_fast: 0.2,
+    };
+    try {
+      const first = new JvcDlaAccessory(log, config, api);
+      accessories.push(first);
+      assert.ok(
+        first.getServices().some((s) => s instanceof Service.WindowCovering)
+      );
+      await sleep(700);
+      first.shutdown();
+      const file = path.join(dir, "homebridge-jvc-dla", "Projector%2F1.json");
+      assert.strictEqual(
+        JSON.parse(fs.readFileSync(file, "utf8")).model,
+        "XH4"
+      );
+
+      const second = new JvcDlaAccessory(log, config, api);
+      accessories.push(second);
+      assert.strictEqual(second.capabilities.model, "XH4");
+      assert.ok(
+        !second.getServices().some((s) => s instanceof Service.WindowCovering)
+      );
+    } finally {
+      await projector.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("turns the projector on from the power switch", async () => {
+    const { find } = create();
+    await find(Service.Switch)
+      .getCharacteristic(Characteristic.On)
+      .handleSetRequest(true);
+    assert.deepStrictEqual(operations(), ["!\x00\x00", "!PW1"]);
+  });
+
+  it("turns the projector on from the television", async () => {
+    const { find } = create();
+    await find(Service.Television)
+      .getCharacteristic(Characteristic.Active)
+      .handleSetRequest(Characteristic.Active.ACTIVE);
+    assert.deepStrictEqual(operations(), ["!\x00\x00", "!PW1"]);
+  });
+
+  it("turns the projector on once it has cooled down", async () => {
+    simulator.state.PW = "2";
+    const { find } = create();
+    await sleep(5500);
+
+    const television = find(Service.Television);
+    assert.strictEqual(
+      television.getCharacteristic(Characteristic.CurrentMediaState).value,
+      Characteristic.CurrentMediaState.LOADING
+    );
+    const on = find(Service.Switch).getCharacteristic(Characteristic.On);
+    assert.strictEqual(on.value, false);
+    await on.handleSetRequest(true);
+    assert.strictEqual(on.value, true);
+    assert.ok(!operations().includes("!PW1"));
+
+    simulator.state.PW = "0";
+    await sleep(5500);
+    assert.ok(operations().includes("!PW1"));
+    assert.strictEqual(on.value, true);
+  });
+
+  it("reads only the references that can change while off", async () => {
+    const projector = new Simulator();
+    await projector.listen();
+    const { accessory } = create({
+      port: projector.port,
+      poll_interval_fast: 0.2,
+    });
+    await sleep(700);
+    accessory.shutdown();
+    await projector.close();
+
+    const references = new Set(
+      projector.commands.filter((command) => command.startsWith("?"))
+    );
+    assert.deepStrictEqual([...references], ["?PW", "?MD", "?LSMA"]);
+    assert.strictEqual(
+      projector.commands.filter((command) => command === "?MD").length,
+      1
+    );
+  });
+
+  it("talks to a serial-over-TCP gateway without the handshake", async () => {
+    const projector = new Simulator({ handshake: false });
+    await projector.listen();
+    const { accessory, find } = create({
+      port: projector.port,
+      transport: "tcp-serial",
+      poll_interval_fast: 0.2,
+    });
+    await find(Service.Switch)
+      .getCharacteristic(Characteristic.On)
+      .handleSetRequest(true);
+    await sleep(500);
+    accessory.shutdown();
+    await projector.close();
+
+    assert.ok(projector.commands.includes("!PW1"));
+    assert.ok(!projector.commands.includes("?LSMA"));
+  });
+
+  it("polls fast after a command", async () => {
+    Object.assign(simulator.state, { PW: "1", IP: "7" });
+    const { find } = create({ poll_interval_fast: 0.2, poll_interval_on: 60 });
+    await sleep(500);
+    const activeIdentifier = find(Service.Television).getCharacteristic(
+      Characteristic.ActiveIdentifier
+    );
+    assert.strictEqual(activeIdentifier.value, 2);
+
+    // Someone selects HDMI 1 with the remote, then opens the menu from HomeKit
+    simulator.state.IP = "6";
+    await sleep(500);
+    assert.strictEqual(activeIdentifier.value, 2);
+    await find(Service.Television)
+      .getCharacteristic(Characteristic.RemoteKey)
+      .handleSetRequest(Characteristic.RemoteKey.INFORMATION);
+    await sleep(500);
+    assert.strictEqual(activeIdentifier.value, 1);
+  });
+
+  it("serves the API through its connection", async () => {
+    const { accessory } = create({ http_port: 0 });
+    await sleep(100);
+    const res = await fetch(`http://127.0.0.1:${accessory.api.port}/raw`, {
+      method: "POST",
+      body: JSON.stringify({ code: "PMPM", length: 2 }),
+    });
+    assert.deepStrictEqual(await res.json(), { ok: true, response: "03" });
+  });
+
+  it("ignores lens position while the projector is off", async () => {
+    const { find } = create();
+    await find(Service.WindowCovering)
+      .getCharacteristic(Characteristic.TargetPosition)
+      .handleSetRequest(50);
+    assert.deepStrictEqual(operations(), []);
+  });
+
+  it("rejects lens memories that aren't integers in range", async () => {
+    const { accessory } = create();
+    assert.strictEqual(await accessory.setLensMemory("3"), false);
+    assert.strictEqual(await accessory.setLensMemory(11), false);
+    assert.ok(!operations().some((command) => command.startsWith("!INML")));
+    assert.notStrictEqual(accessory.state.get("lensMemory"), "3");
+  });
+
+  it("shows a lens moved by hand and saves it to a memory", async () => {
+    Object.assign(simulator.state, {
+      PW: "1",
+      INML: "2",
+      ...simulator.lensMemories[2],
+    });
+    const { find } = create({
+      lens_save_memory: 6,
+      poll_interval_on: 0.2,
+      poll_interval_fast: 0.2,
+    });
+    const lens = find(Service.WindowCovering);
+    const position = () =>
+      lens.getCharacteristic(Characteristic.CurrentPosition).value;
+    await sleep(2000);
+    assert.strictEqual(position(), 30);
+
+    simulator.state.INSH = "0123";
+    await sleep(1500);
+    assert.strictEqual(position(), 0);
+
+    await find(Service.Switch, "lens-save")
+      .getCharacteristic(Characteristic.On)
+      .handleSetRequest(true);
+    assert.ok(operations().includes("!INMS5"));
+    assert.strictEqual(position(), 60);
+    await sleep(2000);
+    assert.strictEqual(position(), 60);
+
+    // Back at memory 3's position, but memory 6 is still the one selected
+    simulator.state.INSH = "0030";
+    await sleep(1500);
+    assert.strictEqual(position(), 0);
+    Object.assign(simulator.state, { INML: "0", ...simulator.lensMemories[0] });
+  });
+
+  it("selects named lens memories from switches", async () => {
+    Object.assign(simulator.state, { PW: "1", INML: "1" });
+    const { find } = create({
+      lens_memories: [
+        { memory: 1, name: "16:9" },
+        { memory: 2, name: "2.39:1" },
+      ],
+    });
+    await sleep(5500);
+
+    const on = (memory) =>
+      find(Service.Switch, `lens-${memory}`).getCharacteristic(
+        Characteristic.On
+      );
+    assert.strictEqual(on(1).value, false);
+    assert.strictEqual(on(2).value, true);
+    await on(1).handleSetRequest(true);
+    assert.ok(operations().includes("!INML0"));
+    assert.strictEqual(on(1).value, true);
+    assert.strictEqual(on(2).value, false);
+    const lens = find(Service.WindowCovering);
+    assert.strictEqual(
+      lens.getCharacteristic(Characteristic.CurrentPosition).value,
+      10
+    );
+
+    // Memories that aren't named can't be selected
+    simulator.commands = [];
+    await lens
+      .getCharacteristic(Characteristic.TargetPosition)
+      .handleSetRequest(50);
+    assert.deepStrictEqual(
+      operations().filter((command) => command !== "!\x00\x00"),
+      []
+    );
+    simulator.state.INML = "0";
+  });
+
+  it("selects installation modes alongside the lens position", async () => {
+    Object.assign(simulator.state, { PW: "1", INIM: "0" });
+    const { find } = create({
+      installation_modes: [
+        { mode: 1, name: "Flat" },
+        { mode: 2, name: "Scope" },
+      ],
+    });
+    assert.ok(find(Service.WindowCovering));
+    await sleep(2500);
+    const on = (subtype) =>
+      find(Service.Switch, subtype).getCharacteristic(Characteristic.On);
+    assert.strictEqual(on("installation-1").value, true);
+
+    await on("installation-2").handleSetRequest(true);
+    assert.ok(operations().includes("!INIM1"));
+    assert.strictEqual(on("installation-1").value, false);
+    assert.strictEqual(on("installation-2").value, true);
+    simulator.state.INIM = "0";
+  });
+
+  it("adjusts brightness and lamp power", async () => {
+    Object.assign(simulator.state, { PW: "1", PMBR: "000A", PMLP: "0" });
+    const { find } = create({ picture_adjustments: true });
+    await sleep(2500);
+    const lightbulb = find(Service.Lightbulb);
+    const brightness = lightbulb.getCharacteristic(Characteristic.Brightness);
+    assert.strictEqual(
+      lightbulb.getCharacteristic(Characteristic.On).value,
+      true
+    );
+    assert.strictEqual(brightness.value, 60);
+
+    await brightness.handleSetRequest(25);
+    const high = find(Service.Switch, "light-power-High");
+    await high.getCharacteristic(Characteristic.On).handleSetRequest(true);
+    assert.ok(operations().includes("!PMBRFFE7"));
+    assert.ok(operations().includes("!PMLP1"));
+    assert.strictEqual(
+      find(Service.Switch, "light-power-Normal").getCharacteristic(
+        Characteristic.On
+      ).value,
+      false
+    );
+    Object.assign(simulator.state, { PMBR: "0000", PMLP: "0" });
+  });
+
+  it("adjusts the laser value on laser models", async () => {
+    const projector = new Simulator({
+      state: { PW: "1", MD: "ILAFPJ -- B5A2", PMCV: "0032" },
+    });
+    await projector.listen();
+    const platformAccessory = new PlatformAccessory(
+      "Projector",
+      hap.uuid.generate("B5A2")
+    );
+    platformAccessory.context.model = "B5A2";
+    const accessory = new JvcDlaAccessory(
+      log,
+      {
+        name: "Projector",
+        host: "127.0.0.1",
+        port: projector.port,
+        picture_adjustments: true,
+        poll_interval_fast: 0.2,
+      },
+      new EventEmitter(),
+      platformAccessory
+    );
+    accessories.push(accessory);
+    try {
+      await sleep(2500);
+      const brightness = accessory
+        .getServices()
+        .find((service) => service.subtype === "laser-value")
+        .getCharacteristic(Characteristic.Brightness);
+      assert.strictEqual(brightness.value, 50);
+      await brightness.handleSetRequest(80);
+      assert.ok(projector.commands.includes("!PMCV0050"));
+    } finally {
+      accessory.shutdown();
+      await projector.close();
+    }
+  });
+
+  it("reports an HDR 4K signal through sensors", async () => {
+    Object.assign(simulator.state, { PW: "1", IFIS: "15", IFHR: "1" });
+    const { find } = create({ signal_sensors: true });
+    await sleep(5500);
+
+    const detected = (subtype) =>
+      find(Service.OccupancySensor, subtype).getCharacteristic(
+        Characteristic.OccupancyDetected
+      ).value;
+    assert.strictEqual(detected("signal"), 1);
+    assert.strictEqual(detected("signal-hdr"), 1);
+    assert.strictEqual(detected("signal-4k"), 1);
+    const signal = find(Service.OccupancySensor, "signal");
+    assert.strictEqual(
+      signal.getCharacteristic("Resolution").value,
+      "4K(3840)60"
+    );
+    assert.strictEqual(signal.getCharacteristic("HDR Type").value, "HDR10");
+    Object.assign(simulator.state, { IFIS: "0A", IFHR: "0" });
+  });
+
+  it("turns the projector off when the sleep timer runs out", async () => {
+    const { find } = create({
+      sleep_timer: 0.01,
+      poll_interval_on: 0.2,
+      poll_interval_off: 0.2,
+      poll_interval_fast: 0.2,
+    });
+    const on = find(Service.Switch, "sleep-timer").getCharacteristic(
+      Characteristic.On
+    );
+    await sleep(500);
+    await on.handleSetRequest(true); // ignored, the projector is off
+
+    simulator.state.PW = "1";
+    await sleep(500);
+    assert.ok(!operations().includes("!PW0"));
+    await on.handleSetRequest(true);
+    await sleep(1500);
+    assert.ok(operations().includes("!PW0"));
+    assert.strictEqual(on.value, false);
+  });
+
+  it("turns the projector off after a while without a signal", async () => {
+    Object.assign(simulator.state, { PW: "1", SC: "0" });
+    create({
+      auto_off_no_signal: 0.01,
+      poll_interval_on: 0.2,
+      poll_interval_fast: 0.2,
+    });
+    await sleep(300);
+    assert.ok(!operations().includes("!PW0"));
+    await sleep(1500);
+    assert.ok(operations().includes("!PW0"));
+    simulator.state.SC = "1";
+  });
+
+  it("sends a custom switch's raw command", async () => {
+    const { find } = create({
+      custom_switches: [{ name: "Anamorphic", on: "INVS1", off: "INVS0" }],
+    });
+    const service = find(Service.Switch, "custom-Anamorphic");
+    await service.getCharacteristic(Characteristic.On).handleSetRequest(true);
+    await service.getCharacteristic(Characteristic.On).handleSetRequest(false);
+    assert.deepStrictEqual(operations(), ["!\x00\x00", "!INVS1", "!INVS0"]);
+  });
+
+  it("reports an emergency as a fault", async () => {
+    simulator.state.PW = "4";
+    const { find } = create({ fault_sensor: "contact" });
+    await sleep(5500);
+
+    const statusFault = (service) =>
+      service.getCharacteristic(Characteristic.StatusFault).value;
+    assert.strictEqual(statusFault(find(Service.Television)), 1);
+    assert.strictEqual(statusFault(find(Service.WindowCovering)), 1);
+    const sensor = find(Service.ContactSensor);
+    assert.strictEqual(statusFault(sensor), 1);
+    assert.strictEqual(
+      sensor.getCharacteristic(Characteristic.ContactSensorState).value,
+      Characteristic.ContactSensorState.CONTACT_NOT_DETECTED
+    );
+    assert.ok(
+      warnings.includes(
+        "Update StatusFault to: 1 (projector in emergency mode)"
+      )
+    );
+  });
+
+  it("warns once while the projector isn't responding", async () => {
+    const projector = new Simulator({ reject: true });
+    await projector.listen();
+    const messages = { info: [], warn: [] };
+    const accessory = new JvcDlaAccessory(
+      {
+        ...log,
+        info: (m) => messages.info.push(m),
+        warn: (m) => messages.warn.push(m),
+      },
+      {
+        name: "Projector",
+        host: "127.0.0.1",
+        port: projector.port,
+        connect_retries: 0,
+        poll_interval_off: 0.2,
+        poll_interval_fast: 0.2,
+      }
+    );
+    accessories.push(accessory);
+    try {
+      await sleep(1500);
+      const failed = messages.warn.filter((m) => m.startsWith("Projector"));
+      assert.strictEqual(failed.length, 1);
+      assert.match(
+        failed[0],
+        /^Projector not responding: CommandError: Did not connect/
+      );
+
+      projector.reject = false;
+      await sleep(1000);
+      assert.ok(
+        messages.info.some((m) =>
+          /^Projector responding again after \d+ failed polls$/.test(m)
+        )
+      );
+    } finally {
+      accessory.shutdown();
+      await projector.close();
+    }
+  });
+
+  it("polls the projector state", async () => {
+    Object.assign(simulator.state, {
+      PW: "1",
+      IP: "7",
+      INML: "2",
+      PMPM: "01",
+      INVS: "1",
+    });
+    const { find } = create({
+      picture_modes: ["Natural", "Cinema"],
+      light_source_warning_hours: 1000,
+      custom_switches: [
+        { name: "Anamorphic", on: "INVS1", status: "INVS", status_on: "1" },
+      ],
+    });
+    await sleep(5500);
+
+    const value = (service, characteristic) =>
+      service.getCharacteristic(characteristic).value;
+    const television = find(Service.Television);
+    assert.strictEqual(value(television, Characteristic.Active), 1);
+    assert.strictEqual(value(television, Characteristic.ActiveIdentifier), 2);
+    assert.strictEqual(value(find(Service.Switch), Characteristic.On), true);
+    assert.strictEqual(
+      value(find(Service.WindowCovering), Characteristic.CurrentPosition),
+      30
+    );
+    assert.strictEqual(
+      value(find(Service.Switch, "Cinema"), Characteristic.On),
+      true
+    );
+    assert.strictEqual(
+      value(find(Service.Switch, "Natural"), Characteristic.On),
+      false
+    );
+    assert.strictEqual(
+      value(find(Service.Switch, "custom-Anamorphic"), Characteristic.On),
+      true
+    );
+    const information = find(Service.AccessoryInformation);
+    assert.strictEqual(value(information, Characteristic.Model), "B2A1");
+    assert.strictEqual(value(information, "Light Source Hours"), 1200);
+    assert.ok(
+      warnings.includes(
+        "Light source has 1200 hours, past the replacement threshold of 1000 hours"
+      )
+    );
+
+    simulator.commands = [];
+    await television
+      .getCharacteristic(Characteristic.ActiveIdentifier)
+      .handleSetRequest(1);
+    await find(Service.WindowCovering)
+      .getCharacteristic(Characteristic.TargetPosition)
+      .handleSetRequest(50);
+    await find(Service.Switch, "Natural")
+      .getCharacteristic(Characteristic.On)
+      .handleSetRequest(true);
+    await television
+      .getCharacteristic(Characteristic.RemoteKey)
+      .handleSetRequest(Characteristic.RemoteKey.ARROW_UP);
+    await television
+      .getCharacteristic(Characteristic.PowerModeSelection)
+      .handleSetRequest(Characteristic.PowerModeSelection.SHOW);
+    assert.deepStrictEqual(
+      operations().filter((command) => command !== "!\x00\x00"),
+      ["!IP6", "!INML4", "!PMPM03", "!RC7301", "!RC732E"]
+    );
+  });
+});
+
+describe("JvcDlaPlatform", () => {
+  let simulator;
+  let api;
+
+  const launch = (
+    cached = [],
+    projectors = [
+      { name: "Projector", host: "127.0.0.1", port: simulator.port },
+    ]
+  ) => {
+    api = new EventEmitter();
+    api.hap = hap;
+    api.platformAccessory = PlatformAccessory;
+    api.registered = [];
+    api.unregistered = [];
+    api.updated = [];
+    api.published = [];
+    api.publishExternalAccessories = (plugin, accessories) =>
+      api.published.push(...accessories);
+    const platform = new JvcDlaPlatform(log, { projectors }, api);
+    cached.forEach((platformAccessory) =>
+      platform.configureAccessory(platformAccessory)
+    );
+    return new Promise((resolve) => {
+      api.registerPlatformAccessories = (plugin, platform, accessories) => {
+        api.registered.push(...accessories);
+        setImmediate(() => resolve(api));
+      };
+      api.unregisterPlatformAccessories = (plugin, platform, accessories) =>
+        api.unregistered.push(...accessories);
+      api.updatePlatformAccessories = (accessories) => {
+        api.updated.push(...accessories);
+        setImmediate(() => resolve(api));
+      };
+      api.emit("didFinishLaunching");
+    });
+  };
+
+  before(async () => {
+    simulator = new Simulator();
+    await simulator.listen();
+  });
+
+  after(() => simulator.close());
+
+  afterEach(() => api.emit("shutdown"));
+
+  it("registers a new accessory keyed by MAC address", async () => {
+    const api = await launch();
+    assert.strictEqual(api.registered.length, 1);
+    const [platformAccessory] = api.registered;
+    assert.strictEqual(
+      platformAccessory.UUID,
+      hap.uuid.generate("homebridge-jvc-dla:E0DADC0A1B2C")
+    );
+    assert.deepStrictEqual(platformAccessory.context, {
+      mac: "E0DADC0A1B2C",
+      host: "127.0.0.1",
+      model: "B2A1",
+    });
+    assert.ok(platformAccessory.getService(Service.Switch));
+    assert.strictEqual(
+      platformAccessory.getService(Service.Television),
+      undefined
+    );
+  });
+
+  it("publishes the Television as an accessory of its own", async () => {
+    const api = await launch();
+    assert.strictEqual(api.published.length, 1);
+    const [television] = api.published;
+    assert.strictEqual(
+      television.UUID,
+      hap.uuid.generate("homebridge-jvc-dla:E0DADC0A1B2C:television")
+    );
+    assert.strictEqual(television.category, hap.Categories.TELEVISION);
+    assert.ok(television.getService(Service.Television));
+    assert.strictEqual(
+      television.services.filter((s) => s.UUID === Service.InputSource.UUID)
+        .length,
+      2
+    );
+    assert.strictEqual(
+      television
+        .getService(Service.AccessoryInformation)
+        .getCharacteristic(Characteristic.Model).value,
+      "B2A1"
+    );
+  });
+
+  it("restores a cached accessory and removes stale ones", async () => {
+    const cached = new PlatformAccessory(
+      "Projector",
+      hap.uuid.generate("homebridge-jvc-dla:E0DADC0A1B2C")
+    );
+    const powerSwitch = cached.addService(
+      Service.Switch,
+      "Projector PowerSwitch"
+    );
+    cached.addService(Service.Switch, "Projector Film", "Film");
+    cached.addService(Service.Television, "Projector");
+    const stale = new PlatformAccessory(
+      "Old Projector",
+      hap.uuid.generate("homebridge-jvc-dla:E0DADC000000")
+    );
+    const api = await launch([cached, stale]);
+    assert.deepStrictEqual(api.registered, []);
+    assert.deepStrictEqual(api.updated, [cached]);
+    assert.deepStrictEqual(api.unregistered, [stale]);
+    assert.strictEqual(cached.getService(Service.Switch), powerSwitch);
+    assert.strictEqual(
+      cached.getServiceById(Service.Switch, "Film"),
+      undefined
+    );
+    assert.ok(cached.getService(Service.WindowCovering));
+    assert.strictEqual(cached.getService(Service.Television), undefined);
+  });
+
+  it("skips a projector with an invalid configuration", async () => {
+    const stale = new PlatformAccessory(
+      "Old Projector",
+      hap.uuid.generate("homebridge-jvc-dla:E0DADC000000")
+    );
+    const api = await launch(
+      [stale],
+      [
+        { name: "Projector", host: "127.0.0.1", port: simulator.port },
+        { name: "Bad", host: "127.0.0.1", password: "short" },
+      ]
+    );
+    await sleep(100);
+    assert.strictEqual(api.registered.length, 1);
+    assert.deepStrictEqual(api.unregistered, [stale]);
+  });
+
+  it("keeps cached accessories while a projector is unreachable", async () => {
+    const cached = new PlatformAccessory(
+      "Projector",
+      hap.uuid.generate("homebridge-jvc-dla:E0DADC0A1B2C")
+    );
+    cached.context.host = "192.0.2.1";
+    launch(
+      [cached],
+      [{ name: "Projector", host: "127.0.0.1", port: 1, connect_retries: 0 }]
+    );
+    await sleep(500);
+    assert.deepStrictEqual(api.registered, []);
+    assert.deepStrictEqual(api.unregistered, []);
+  });
+});
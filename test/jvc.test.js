@@ -0,0 +1,553 @@
+"use strict";
+const assert = require("node:assert");
+const net = require("node:net");
+const { afterEach, beforeEach, describe, it } = require("node:test");
+const Jvc = require("../jvc");
+const Simulator = require("./simulator");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// A port with nothing listening on it
+async function unusedPort() {
+  const server = net.createServer();
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+  await new Promise((resolve) => server.close(resolve));
+  return port;
+}
+
+// Stands in for the serialport package's SerialPort, reaching the simulator
+// over TCP at path "host:port"
+class FakeSerialPort extends net.Socket {
+  constructor(options) {
+    super();
+    this.options = options;
+  }
+
+  open(callback) {
+    const [host, port] = this.options.path.split(":");
+    this.once("error", callback);
+    this.connect(Number(port), host, () => {
+      this.off("error", callback);
+      callback(null);
+    });
+  }
+}
+
+describe("Jvc", () => {
+  let simulator;
+  let jvc;
+
+  const start = async (options = {}, jvcOptions = {}) => {
+    simulator = new Simulator(options);
+    await simulator.listen();
+    jvc = new Jvc({ host: "127.0.0.1", port: simulator.port, ...jvcOptions });
+  };
+
+  afterEach(async () => {
+    jvc?.disconnect();
+    await simulator?.close();
+    simulator = jvc = undefined;
+  });
+
+  describe("handshake", () => {
+    it("connects without a password", async () => {
+      await start();
+      await jvc.connect();
+      assert.deepStrictEqual(simulator.commands, ["!\x00\x00"]);
+    });
+
+    it("sends a 2021 password padded with null bytes", async () => {
+      await start({ password: "password1" }, { password: "password1" });
+      assert.strictEqual(await jvc.getPower(), Jvc.Power.Off);
+    });
+
+    it("sends a 2024 password as a sha256 hexdigest", async () => {
+      const options = { password: "password1", is_2024_model: true };
+      await start(options, options);
+      assert.strictEqual(await jvc.getPower(), Jvc.Power.Off);
+    });
+
+    it("detects a 2024 password from the projector's reply", async () => {
+      await start(
+        {
+          password: "password1",
+          is_2024_model: true,
+          state: { MD: "ILAFPJ -- B8A1" },
+        },
+        { password: "password1" }
+      );
+      assert.strictEqual(await jvc.getPower(), Jvc.Power.Off);
+      assert.strictEqual(simulator.connections, 2);
+      assert.strictEqual(await jvc.getModelCode(), "B8A1");
+      assert.strictEqual(jvc.is_2024_model, true);
+    });
+
+    it("rejects a wrong password with PJNAK", async () => {
+      await start({ password: "password1" }, { password: "password2" });
+      await assert.rejects(jvc._connect(), {
+        name: "HandshakeError",
+        message: "Projector sent PJNAK (check password, if any)",
+      });
+    });
+
+    it("rejects a connection with PJ_NG", async () => {
+      await start({ reject: true });
+      await assert.rejects(jvc._connect(), {
+        name: "HandshakeError",
+        message: "Connection rejected with PJ_NG",
+      });
+    });
+
+    it("doesn't retry a wrong password", async () => {
+      await start(
+        { password: "password1" },
+        { password: "password2", is_2024_model: false }
+      );
+      await assert.rejects(jvc.getPower(), { name: "HandshakeError" });
+      assert.strictEqual(simulator.connections, 1);
+    });
+
+    it("rejects a greeting other than PJ_OK", async () => {
+      const server = net.createServer((sock) => sock.end("HELLO"));
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      try {
+        const { port } = server.address();
+        jvc = new Jvc({ host: "127.0.0.1", port });
+        await assert.rejects(jvc._connect(), { name: "ProtocolError" });
+      } finally {
+        server.close();
+      }
+    });
+  });
+
+  describe("connection", () => {
+    it("gives up connecting after the given retries", async () => {
+      // Find a port with nothing listening on it
+      const port = await unusedPort();
+      jvc = new Jvc({ host: "127.0.0.1", port, retries: 3, retryDelay: 10 });
+      await assert.rejects(jvc.getPower(), {
+        name: "CommandError",
+        message: "Did not connect",
+      });
+    });
+
+    it("drops a queued command when aborted", async () => {
+      await start({ lensDelay: 1500, state: { PW: "1" } });
+      const lens = jvc.setLensMemory(3);
+      const controller = new AbortController();
+      const power = jvc.send(Jvc.Reference.Power, {
+        signal: controller.signal,
+      });
+      const began = Date.now();
+      setTimeout(() => controller.abort(), 100);
+      await assert.rejects(power, { name: "CommandError", message: "Aborted" });
+      assert.ok(Date.now() - began < 1000);
+      await lens;
+      assert.strictEqual(await jvc.getInput(), Jvc.Input.HDMI1);
+      assert.ok(!simulator.commands.includes("?PW"));
+    });
+
+    it("logs failed connect attempts at debug", async () => {
+      const port = await unusedPort();
+      const messages = { debug: [], info: [], warn: [] };
+      const log = Object.fromEntries(
+        Object.entries(messages).map(([level, list]) => [
+          level,
+          (message) => list.push(message),
+        ])
+      );
+      jvc = new Jvc({
+        host: "127.0.0.1",
+        port,
+        retries: 2,
+        retryDelay: 10,
+        log,
+      });
+      await assert.rejects(jvc.getPower());
+      assert.deepStrictEqual(messages.warn, []);
+      const attempts = messages.debug.filter((m) => m.startsWith("Connect"));
+      assert.strictEqual(attempts.length, 2);
+      assert.match(attempts[0], /^Connect attempt 1 failed/);
+      assert.match(attempts[1], /^Connect attempt 2 failed/);
+    });
+
+    it("stops connecting when aborted", async () => {
+      const port = await unusedPort();
+      jvc = new Jvc({ host: "127.0.0.1", port });
+      const controller = new AbortController();
+      const began = Date.now();
+      setTimeout(() => controller.abort(), 100);
+      await assert.rejects(
+        jvc.send(Jvc.Reference.Power, { signal: controller.signal }),
+        { name: "CommandError", message: "Aborted" }
+      );
+      assert.ok(Date.now() - began < 1000);
+    });
+
+    it("reuses one connection for several commands", async () => {
+      await start();
+      await jvc.getPower();
+      await jvc.getInput();
+      await jvc.getLensMemory();
+      assert.strictEqual(simulator.connections, 1);
+    });
+
+    it("serializes concurrent commands", async () => {
+      await start({ state: { PW: "1", IP: "7", INML: "2" } });
+      const results = await Promise.all([
+        jvc.getPower(),
+        jvc.getInput(),
+        jvc.getLensMemory(),
+      ]);
+      assert.deepStrictEqual(results, [Jvc.Power.On, Jvc.Input.HDMI2, 3]);
+      assert.strictEqual(simulator.connections, 1);
+    });
+
+    it("keeps the connection alive with Null commands", async () => {
+      await start({ idleTimeout: 300 }, { keepalive: 100 });
+      await jvc.getPower();
+      await sleep(700);
+      await jvc.getPower();
+      assert.strictEqual(simulator.connections, 1);
+      assert.ok(simulator.commands.filter((c) => c === "!\x00\x00").length > 3);
+    });
+
+    it("reconnects when the projector drops an idle connection", async () => {
+      await start({ idleTimeout: 200 }, { keepalive: 0 });
+      await jvc.getPower();
+      await sleep(400);
+      assert.strictEqual(await jvc.getPower(), Jvc.Power.Off);
+      assert.strictEqual(simulator.connections, 2);
+    });
+
+    it("keeps an idle connection open past the command timeout", async () => {
+      await start({}, { keepalive: 0, timeout: 100 });
+      await jvc.getPower();
+      await sleep(300);
+      assert.notStrictEqual(jvc.sock, null);
+      await jvc.getPower();
+      assert.strictEqual(simulator.connections, 1);
+    });
+
+    it("disconnects after the idle timeout", async () => {
+      await start({}, { keepalive: 100, idleTimeout: 300 });
+      await jvc.getPower();
+      assert.notStrictEqual(jvc.sock, null);
+      await sleep(600);
+      assert.strictEqual(jvc.sock, null);
+      assert.strictEqual(simulator.sockets.size, 0);
+    });
+  });
+
+  describe("transports", () => {
+    it("skips the handshake over a serial-over-TCP gateway", async () => {
+      await start({ handshake: false }, { transport: "tcp-serial" });
+      assert.strictEqual(await jvc.getPower(), Jvc.Power.Off);
+      assert.deepStrictEqual(simulator.commands, ["!\x00\x00", "?PW"]);
+    });
+
+    it("talks to a serial port at 19200 8N1", async () => {
+      await start({ handshake: false, state: { PW: "1", IP: "7" } });
+      jvc = new Jvc({
+        transport: "serial",
+        path: `127.0.0.1:${simulator.port}`,
+        SerialPort: FakeSerialPort,
+      });
+      assert.strictEqual(await jvc.getInput(), Jvc.Input.HDMI2);
+      assert.deepStrictEqual(
+        {
+          baudRate: jvc.sock.stream.options.baudRate,
+          dataBits: jvc.sock.stream.options.dataBits,
+          parity: jvc.sock.stream.options.parity,
+          stopBits: jvc.sock.stream.options.stopBits,
+        },
+        { baudRate: 19200, dataBits: 8, parity: "none", stopBits: 1 }
+      );
+    });
+
+    it("times out a serial port that doesn't respond", async () => {
+      await start({ handshake: false, lensDelay: 500, state: { PW: "1" } });
+      jvc = new Jvc({
+        transport: "serial",
+        path: `127.0.0.1:${simulator.port}`,
+        SerialPort: FakeSerialPort,
+      });
+      await assert.rejects(
+        jvc.send(Jvc.Operation.LensMemory[3], { timeout: 200 }),
+        { name: "TimeoutError" }
+      );
+    });
+
+    it("rejects an unknown transport", () => {
+      assert.throws(() => new Jvc({ transport: "usb" }), {
+        name: "CommandError",
+        message: "Invalid transport: usb",
+      });
+    });
+  });
+
+  describe("references", () => {
+    beforeEach(() =>
+      start({
+        state: {
+          PW: "1",
+          IP: "7",
+          INML: "4",
+          PMPM: "15",
+          MD: "ILAFPJ -- B5A2",
+          IFSV: "0210PJ",
+        },
+      })
+    );
+
+    it("decodes power", async () => {
+      assert.strictEqual(await jvc.getPower(), Jvc.Power.On);
+    });
+
+    it("decodes input", async () => {
+      assert.strictEqual(await jvc.getInput(), Jvc.Input.HDMI2);
+    });
+
+    it("decodes lens memory", async () => {
+      assert.strictEqual(await jvc.getLensMemory(), 5);
+    });
+
+    it("decodes model code", async () => {
+      assert.strictEqual(await jvc.getModelCode(), "B5A2");
+    });
+
+    it("decodes software version", async () => {
+      assert.strictEqual(await jvc.getSoftwareVersion(), "02.10");
+    });
+
+    it("decodes mac address", async () => {
+      assert.strictEqual(await jvc.getMacAddress(), "E0DADC0A1B2C");
+    });
+
+    it("decodes light source hours", async () => {
+      assert.strictEqual(await jvc.getLightSourceHours(), 1200);
+    });
+
+    it("decodes the source signal", async () => {
+      Object.assign(simulator.state, { IFIS: "19", IFHR: "3", IFCM: "3" });
+      assert.strictEqual(await jvc.getSourceState(), true);
+      assert.strictEqual(await jvc.getResolution(), "4K(3840)24");
+      assert.strictEqual(await jvc.getHdrType(), "HDR10+");
+      assert.strictEqual(await jvc.getColorSpace(), "YCbCr 4:2:0");
+      simulator.state.SC = "0";
+      assert.strictEqual(await jvc.getSourceState(), false);
+    });
+
+    it("decodes picture mode using the model's table", async () => {
+      assert.strictEqual(await jvc.getPictureMode(), "HDR10+");
+    });
+  });
+
+  describe("operations", () => {
+    it("turns power on through warming", async () => {
+      await start({ warmingTime: 100 });
+      await jvc.setPower(true);
+      assert.strictEqual(await jvc.getPower(), Jvc.Power.Warming);
+      await sleep(150);
+      assert.strictEqual(await jvc.getPower(), Jvc.Power.On);
+    });
+
+    it("turns power off through cooling", async () => {
+      await start({ coolingTime: 100, state: { PW: "1" } });
+      await jvc.setPower(false);
+      assert.strictEqual(await jvc.getPower(), Jvc.Power.Cooling);
+      await sleep(150);
+      assert.strictEqual(await jvc.getPower(), Jvc.Power.Off);
+    });
+
+    it("selects an input", async () => {
+      await start({ state: { PW: "1" } });
+      await jvc.setInput(Jvc.Input.HDMI2);
+      assert.strictEqual(await jvc.getInput(), Jvc.Input.HDMI2);
+    });
+
+    it("selects a picture mode", async () => {
+      await start({ state: { PW: "1" } });
+      await jvc.setPictureMode("Cinema");
+      assert.strictEqual(simulator.state.PMPM, "01");
+      assert.strictEqual(await jvc.getPictureMode(), "Cinema");
+    });
+
+    it("rejects a picture mode the model does not support", async () => {
+      await start({ state: { PW: "1", MD: "ILAFPJ -- -XH4" } });
+      await assert.rejects(jvc.setPictureMode("HDR10"), {
+        name: "CommandError",
+        message: "Invalid picture mode: HDR10",
+      });
+    });
+
+    it("presses a remote control key", async () => {
+      await start({ state: { PW: "1" } });
+      await jvc.pressKey("Menu");
+      assert.deepStrictEqual(simulator.commands.slice(-1), ["!RC732E"]);
+      await assert.rejects(jvc.pressKey("Eject"), {
+        name: "CommandError",
+        message: "Invalid key: Eject",
+      });
+    });
+
+    it("sends raw operations and references", async () => {
+      await start({ state: { PW: "1", PMGT: "04" } });
+      await jvc.send(Jvc.operation("PMGT02"));
+      const gamma = Jvc.reference("PMGT", 2, (s) => parseInt(s, 16));
+      assert.strictEqual(await jvc.send(gamma), 2);
+    });
+
+    it("rejects invalid raw commands", () => {
+      assert.throws(() => Jvc.operation("P"), { name: "CommandError" });
+      assert.throws(() => Jvc.operation("PW\n"), { name: "CommandError" });
+      assert.throws(() => Jvc.reference("PMGT", 0), {
+        name: "CommandError",
+        message: "Invalid response length: 0",
+      });
+      assert.throws(() => Jvc.reference("PMGT", 2, "hex"), {
+        name: "CommandError",
+      });
+    });
+
+    it("saves and names a lens memory", async () => {
+      await start({ state: { PW: "1" } });
+      await jvc.saveLensMemory(4);
+      await jvc.setLensMemoryName(4, "Scope");
+      assert.deepStrictEqual(simulator.commands.slice(-2), [
+        "!INMS3",
+        "!INMN3Scope",
+      ]);
+      assert.strictEqual(await jvc.getLensMemory(), 4);
+      await assert.rejects(jvc.setLensMemoryName(4, "Much too long"), {
+        name: "CommandError",
+        message: "Invalid lens memory name: Much too long",
+      });
+      await assert.rejects(jvc.saveLensMemory(11), {
+        name: "CommandError",
+        message: "Invalid memory: 11",
+      });
+    });
+
+    it("reads the lens position", async () => {
+      await start({ state: { PW: "1", INML: "2", INZM: "8010" } });
+      await jvc.getModelCode();
+      assert.deepStrictEqual(await jvc.getLensPosition(), {
+        shiftHorizontal: 0x30,
+        shiftVertical: 0,
+        zoom: 0x8010,
+        focus: 0x8000,
+      });
+      simulator.state.MD = "ILAFPJ -- -XHF";
+      await jvc.getModelCode();
+      await assert.rejects(jvc.getLensPosition(), {
+        name: "CommandError",
+        message: "Lens position not supported by XHF",
+      });
+    });
+
+    it("rejects lens memories the model doesn't have", async () => {
+      await start({ state: { PW: "1", MD: "ILAFPJ -- -XH4" } });
+      assert.strictEqual(await jvc.getModelCode(), "XH4");
+      assert.strictEqual(jvc.capabilities.name, "DLA-HD350");
+      await assert.rejects(jvc.setLensMemory(1), {
+        name: "CommandError",
+        message: "Invalid memory: 1",
+      });
+    });
+
+    it("selects installation mode, anamorphic and mask", async () => {
+      await start({ state: { PW: "1" } });
+      await jvc.setInstallationMode(3);
+      await jvc.setAnamorphic("B");
+      await jvc.setMask("Custom 2");
+      assert.deepStrictEqual(simulator.commands.slice(-3), [
+        "!INIM2",
+        "!INVS2",
+        "!ISMA1",
+      ]);
+      assert.strictEqual(await jvc.getInstallationMode(), 3);
+      assert.strictEqual(await jvc.getAnamorphic(), "B");
+      assert.strictEqual(await jvc.getMask(), "Custom 2");
+      await assert.rejects(jvc.setAnamorphic("E"), {
+        name: "CommandError",
+        message: "Invalid anamorphic mode: E",
+      });
+    });
+
+    it("adjusts brightness, contrast and gamma", async () => {
+      await start({ state: { PW: "1" } });
+      await jvc.setBrightness(-10);
+      await jvc.setContrast(25);
+      await jvc.setGamma("2.4");
+      assert.deepStrictEqual(simulator.commands.slice(-3), [
+        "!PMBRFFF6",
+        "!PMCN0019",
+        "!PMGT8",
+      ]);
+      assert.strictEqual(await jvc.getBrightness(), -10);
+      assert.strictEqual(await jvc.getContrast(), 25);
+      assert.strictEqual(await jvc.getGamma(), "2.4");
+      await assert.rejects(jvc.setBrightness(51), {
+        name: "CommandError",
+        message: "Invalid brightness: 51 (expected -50 to 50)",
+      });
+      await assert.rejects(jvc.setContrast(1.5), { name: "CommandError" });
+    });
+
+    it("sets lamp or laser power depending on the model", async () => {
+      await start({ state: { PW: "1", MD: "ILAFPJ -- B5A1" } });
+      assert.deepStrictEqual(Object.keys(await jvc.getLightPowers()), [
+        "Low",
+        "Mid",
+        "High",
+      ]);
+      await jvc.setLightPower("Mid");
+      assert.strictEqual(simulator.commands.at(-1), "!PMLP2");
+      assert.strictEqual(await jvc.getLightPower(), "Mid");
+      await jvc.setLaserValue(80);
+      assert.strictEqual(simulator.commands.at(-1), "!PMCV0050");
+      assert.strictEqual(await jvc.getLaserValue(), 80);
+      await assert.rejects(jvc.setLaserValue(101), {
+        name: "CommandError",
+        message: "Invalid laserValue: 101 (expected 0 to 100)",
+      });
+      await assert.rejects(jvc.setLightPower("Normal"), {
+        name: "CommandError",
+        message: "Invalid light power: Normal",
+      });
+    });
+
+    it("rejects the laser value on lamp models", async () => {
+      await start({ state: { PW: "1", MD: "ILAFPJ -- B5B1" } });
+      await assert.rejects(jvc.getLaserValue(), {
+        name: "CommandError",
+        message: "Laser value not supported by B5B1",
+      });
+      await assert.rejects(jvc.setLaserValue(50), {
+        name: "CommandError",
+        message: "Laser value not supported by B5B1",
+      });
+    });
+
+    it("waits for a lens memory ACK slower than the default timeout", async () => {
+      await start({ lensDelay: 2500, state: { PW: "1" } });
+      await jvc.setLensMemory(3);
+      assert.strictEqual(await jvc.getLensMemory(), 3);
+    });
+
+    it("times out a lens memory ACK slower than the given timeout", async () => {
+      await start({ lensDelay: 2500, state: { PW: "1" } });
+      await assert.rejects(
+        jvc.send(Jvc.Operation.LensMemory[3], { timeout: 1000 }),
+        { name: "TimeoutError", message: "Timed out waiting for \"INML2\"" }
+      );
+    });
+
+    it("gives raw lens memory operations the lens timeout", () => {
+      assert.strictEqual(Jvc.operation("INML2").timeout, 60 * 1000);
+      assert.strictEqual(Jvc.operation("PMPM01").timeout, undefined);
+    });
+  });
+});
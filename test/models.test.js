@@ -0,0 +1,46 @@
+"use strict";
+const assert = require("node:assert");
+const { describe, it } = require("node:test");
+const Models = require("../models");
+
+describe("Models", () => {
+  it("looks up a listed model", () => {
+    const capabilities = Models.lookup("B2A2");
+    assert.strictEqual(capabilities.model, "B2A2");
+    assert.strictEqual(capabilities.name, "DLA-RS2000, NX7, N8, V7 Series");
+    assert.strictEqual(capabilities.generation, "2018");
+    assert.strictEqual(capabilities.password, "none");
+    assert.strictEqual(capabilities.lensMemories, 10);
+  });
+
+  it("looks up the models of every specification", () => {
+    assert.strictEqual(Models.lookup("XHK3").lensMemories, 5);
+    assert.strictEqual(Models.lookup("XHP1").installationModes, 10);
+    assert.strictEqual(Models.lookup("XHP1").signalInfo, false);
+    assert.strictEqual(Models.lookup("XHR1").signalInfo, true);
+    assert.strictEqual(Models.lookup("B5A3").name, "DLA-NZ7, RS2100");
+    assert.strictEqual(Models.lookup("B5A3").lightSource, "laser");
+    assert.deepStrictEqual(Models.lookup("B5A3").ranges.laserValue, [0, 100]);
+    assert.strictEqual(Models.lookup("B5B1").ranges.laserValue, undefined);
+    assert.strictEqual(Models.lookup("B8B1").password, "sha256");
+  });
+
+  it("falls back to the generation of an unlisted model", () => {
+    const capabilities = Models.lookup("B8A9");
+    assert.strictEqual(capabilities.name, undefined);
+    assert.strictEqual(capabilities.generation, "2024");
+    assert.strictEqual(capabilities.password, "sha256");
+    assert.strictEqual(capabilities.lensPosition, false);
+  });
+
+  it("assumes everything is supported by an unknown model", () => {
+    assert.deepStrictEqual(Models.lookup(), {
+      model: undefined,
+      ...Models.UNKNOWN,
+    });
+    assert.strictEqual(Models.lookup("ZZZZ").lensMemories, 10);
+    assert.strictEqual(Models.lookup("ZZZZ").lensPosition, false);
+    assert.strictEqual(Models.lookup("B2A1").lensPosition, true);
+    assert.strictEqual(Models.lookup("XH4").lensMemories, 0);
+  });
+});
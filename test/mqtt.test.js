@@ -0,0 +1,126 @@
+"use strict";
+const assert = require("node:assert");
+const EventEmitter = require("node:events");
+const { beforeEach, describe, it } = require("node:test");
+const Jvc = require("../jvc");
+const MqttBridge = require("../mqtt");
+const ProjectorState = require("../state");
+
+// Stand-in for an MQTT.js client connected to a broker: records what is
+// published and subscribed, keeping the last retained payload of each topic
+class FakeClient extends EventEmitter {
+  constructor(url, options) {
+    super();
+    this.url = url;
+    this.options = options;
+    this.connected = false;
+    this.retained = {};
+    this.subscriptions = [];
+  }
+
+  publish(topic, payload, { retain }) {
+    if (retain) {
+      this.retained[topic] = payload;
+    }
+  }
+
+  subscribe(topics) {
+    this.subscriptions.push(...topics);
+  }
+
+  end() {
+    this.connected = false;
+  }
+
+  connect() {
+    this.connected = true;
+    this.emit("connect");
+  }
+
+  // Delivers a message as the broker would, and waits for it to be handled
+  async deliver(topic, payload) {
+    this.emit("message", topic, Buffer.from(payload));
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+}
+
+describe("MqttBridge", () => {
+  let accessory;
+  let client;
+
+  beforeEach(() => {
+    accessory = {
+      name: "Living Room",
+      log: { info: () => undefined },
+      state: new ProjectorState({ power: Jvc.Power.Off, model: "B5A2" }),
+      commands: [],
+      async requestPower(on) {
+        this.commands.push(["power", on]);
+        return true;
+      },
+      async setLensMemory(memory) {
+        this.commands.push(["lens", memory]);
+        return true;
+      },
+    };
+    new MqttBridge(
+      accessory,
+      { url: "mqtt://broker" },
+      (url, options) => (client = new FakeClient(url, options))
+    );
+    client.connect();
+  });
+
+  it("publishes retained state and availability", () => {
+    assert.deepStrictEqual(client.options.will, {
+      topic: "jvc-dla/living_room/availability",
+      payload: "offline",
+      retain: true,
+    });
+    assert.strictEqual(
+      client.retained["jvc-dla/living_room/availability"],
+      "online"
+    );
+    assert.strictEqual(client.retained["jvc-dla/living_room/power"], "Off");
+    assert.strictEqual(client.retained["jvc-dla/living_room/model"], "B5A2");
+
+    accessory.state.update({ power: Jvc.Power.Warming, lensMemory: undefined });
+    assert.strictEqual(client.retained["jvc-dla/living_room/power"], "Warming");
+    assert.strictEqual(
+      client.retained["jvc-dla/living_room/lens_memory"],
+      "custom"
+    );
+  });
+
+  it("announces Home Assistant entities", () => {
+    const config = JSON.parse(
+      client.retained["homeassistant/switch/living_room/power/config"]
+    );
+    assert.strictEqual(config.unique_id, "living_room_power");
+    assert.strictEqual(config.command_topic, "jvc-dla/living_room/power/set");
+    assert.deepStrictEqual(config.device.identifiers, ["living_room"]);
+    assert.strictEqual(config.device.model, "B5A2");
+
+    accessory.state.update({ softwareVersion: "03.52" });
+    const select = JSON.parse(
+      client.retained["homeassistant/select/living_room/lens_memory/config"]
+    );
+    assert.strictEqual(select.options.length, 10);
+    assert.strictEqual(select.device.sw_version, "03.52");
+  });
+
+  it("accepts power and lens memory commands", async () => {
+    assert.deepStrictEqual(client.subscriptions, [
+      "jvc-dla/living_room/power/set",
+      "jvc-dla/living_room/lens_memory/set",
+    ]);
+    await client.deliver("jvc-dla/living_room/power/set", "ON");
+    await client.deliver("jvc-dla/living_room/lens_memory/set", "4");
+    await client.deliver("jvc-dla/living_room/power/set", "maybe");
+    await client.deliver("jvc-dla/living_room/lens_memory/set", "11");
+    assert.deepStrictEqual(accessory.commands, [
+      ["power", true],
+      ["lens", 4],
+    ]);
+  });
+});
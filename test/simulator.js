@@ -0,0 +1,243 @@
+// simulator.js
+// ~~~~~~~~~~~~
+// Fake JVC D-ILA projector speaking the LAN remote control protocol, for
+// exercising the Jvc client and the accessory without real hardware.
+//
+// The simulator keeps the projector state as the raw values that reference
+// commands return, keyed by reference code (e.g. "PW", "INML"). An operation
+// whose code starts with a known reference code replaces that value, so
+// "INML3" sets "INML" to "3". Selecting a lens memory moves the lens to the
+// position stored in it (the INSH, INSV, INZM and INFC values), and saving
+// one stores the current position; tests move the lens "by hand" by setting
+// those values. Power operations go through the Warming and
+// Cooling states, which last `warmingTime` and `coolingTime` milliseconds.
+// Like some real projectors, the simulator can drop connections that have
+// been idle for `idleTimeout` milliseconds. With `handshake: false` it
+// behaves like the RS-232 port behind a serial-over-TCP gateway, which
+// takes commands without the PJ_OK/PJREQ/PJACK handshake.
+
+"use strict";
+const net = require("node:net");
+const { createHash } = require("node:crypto");
+
+const bytes = (s) => Buffer.from(s, "latin1");
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const [OPERATION, REFERENCE, RESPONSE, ACK] = ["!", "?", "@", "\x06"];
+const UNIT_ID = "\x89\x01";
+
+const LENS_POSITION = ["INSH", "INSV", "INZM", "INFC"];
+
+const [POWER_OFF, POWER_ON, POWER_COOLING, POWER_WARMING] = [
+  "0",
+  "1",
+  "2",
+  "3",
+];
+
+class Simulator {
+  constructor({
+    password = undefined,
+    is_2024_model = false,
+    reject = false,
+    warmingTime = 0,
+    coolingTime = 0,
+    lensDelay = 0,
+    idleTimeout = 0,
+    handshake = true,
+    state = {},
+  } = {}) {
+    this.password = password;
+    this.is_2024_model = is_2024_model;
+    this.reject = reject;
+    this.warmingTime = warmingTime;
+    this.coolingTime = coolingTime;
+    this.lensDelay = lensDelay;
+    this.idleTimeout = idleTimeout;
+    this.handshake = handshake;
+    this.state = {
+      PW: POWER_OFF,
+      IP: "6",
+      INML: "0",
+      INIM: "0",
+      INVS: "0",
+      ISMA: "2",
+      PMPM: "03",
+      PMLP: "0",
+      PMCV: "0064",
+      PMBR: "0000",
+      PMCN: "0000",
+      PMGT: "0",
+      MD: "ILAFPJ -- B2A1",
+      IFSV: "0352PJ",
+      LSMA: "E0DADC0A1B2C",
+      IFLT: "04B0",
+      SC: "1",
+      IFIS: "0A",
+      IFHR: "0",
+      IFCM: "1",
+      ...state,
+    };
+    // Each memory's lens position: memory 1 shifted to 0010, memory 2 to 0020
+    this.lensMemories = Array.from({ length: 10 }, (_, memory) => ({
+      INSH: ((memory + 1) * 0x10).toString(16).toUpperCase().padStart(4, "0"),
+      INSV: "0000",
+      INZM: "8000",
+      INFC: "8000",
+    }));
+    this.state = { ...this.lensMemories[this.state.INML], ...this.state };
+    this.commands = [];
+    this.connections = 0;
+    this.server = net.createServer((sock) => this.#accept(sock));
+    this.sockets = new Set();
+  }
+
+  get port() {
+    return this.server.address().port;
+  }
+
+  listen() {
+    return new Promise((resolve) => {
+      this.server.listen(0, "127.0.0.1", () => resolve(this.port));
+    });
+  }
+
+  close() {
+    this.sockets.forEach((sock) => sock.destroy());
+    return new Promise((resolve) => this.server.close(() => resolve()));
+  }
+
+  // The PJREQ the client must send, including the encoded password (if any)
+  get #pjreq() {
+    let password = this.password;
+    if (!password) {
+      return "PJREQ";
+    }
+    if (this.is_2024_model) {
+      password = createHash("sha256")
+        .update(`${password}JVCKWPJ`)
+        .digest("hex");
+    } else {
+      password = password.padEnd(16, "\x00");
+    }
+    return `PJREQ_${password}`;
+  }
+
+  #accept(sock) {
+    this.connections++;
+    this.sockets.add(sock);
+    sock.on("close", () => this.sockets.delete(sock));
+    sock.on("error", () => undefined);
+    if (this.idleTimeout) {
+      sock.setTimeout(this.idleTimeout, () => sock.destroy());
+    }
+
+    if (this.reject) {
+      sock.end(bytes("PJ_NG"));
+      return;
+    }
+    if (this.handshake) {
+      sock.write(bytes("PJ_OK"));
+    }
+
+    let authenticated = !this.handshake;
+    let buffer = "";
+    let pending = Promise.resolve();
+    sock.on("data", (data) => {
+      buffer += data.toString("latin1");
+      if (!authenticated) {
+        const pjreq = this.#pjreq;
+        const received = buffer.slice(0, pjreq.length);
+        if (!pjreq.startsWith(received)) {
+          sock.end(bytes("PJNAK"));
+          return;
+        }
+        if (received.length < pjreq.length) {
+          return;
+        }
+        authenticated = true;
+        buffer = buffer.slice(pjreq.length);
+        sock.write(bytes("PJACK"));
+      }
+      let end;
+      while ((end = buffer.indexOf("\n")) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 1);
+        pending = pending.then(() => this.#command(sock, line));
+      }
+    });
+  }
+
+  async #command(sock, line) {
+    const type = line[0];
+    const code = line.slice(1 + UNIT_ID.length);
+    if (
+      !line.startsWith(UNIT_ID, 1) ||
+      ![OPERATION, REFERENCE].includes(type)
+    ) {
+      return;
+    }
+    this.commands.push(`${type}${code}`);
+
+    if (type === REFERENCE) {
+      const value = this.state[code];
+      if (value === undefined) {
+        return;
+      }
+      sock.write(bytes(`${ACK}${UNIT_ID}${code.slice(0, 2)}\n`));
+      sock.write(bytes(`${RESPONSE}${UNIT_ID}${code.slice(0, 2)}${value}\n`));
+      return;
+    }
+
+    if (/^IN(ML|IM)/.test(code) && this.lensDelay) {
+      await sleep(this.lensDelay);
+    }
+    this.#operation(code);
+    sock.write(bytes(`${ACK}${UNIT_ID}${code.slice(0, 2)}\n`));
+  }
+
+  #operation(code) {
+    if (code === "\x00\x00") {
+      return;
+    }
+    if (code === "PW1" && this.state.PW === POWER_OFF) {
+      this.#transition(POWER_WARMING, POWER_ON, this.warmingTime);
+      return;
+    }
+    if (code === "PW0" && this.state.PW === POWER_ON) {
+      this.#transition(POWER_COOLING, POWER_OFF, this.coolingTime);
+      return;
+    }
+    if (code.startsWith("INMS")) {
+      const memory = code.slice(4);
+      this.lensMemories[memory] = Object.fromEntries(
+        LENS_POSITION.map((key) => [key, this.state[key]])
+      );
+      this.state.INML = memory; // saving a memory also selects it
+      return;
+    }
+    if (code.startsWith("INML")) {
+      Object.assign(this.state, this.lensMemories[code.slice(4)]);
+    }
+    const key = Object.keys(this.state)
+      .filter((key) => key !== "PW" && code.startsWith(key))
+      .sort((a, b) => b.length - a.length)[0];
+    if (key !== undefined) {
+      this.state[key] = code.slice(key.length);
+    }
+  }
+
+  #transition(during, after, ms) {
+    if (!ms) {
+      this.state.PW = after;
+      return;
+    }
+    this.state.PW = during;
+    const timeoutObj = setTimeout(() => {
+      this.state.PW = after;
+    }, ms);
+    timeoutObj.unref();
+  }
+}
+
+module.exports = Simulator;
@@ -0,0 +1,45 @@
+"use strict";
+const assert = require("node:assert");
+const { describe, it } = require("node:test");
+const ProjectorState = require("../state");
+
+describe("ProjectorState", () => {
+  it("emits only for values that changed", () => {
+    const state = new ProjectorState({ power: "Off" });
+    const events = [];
+    state.on("change", (key, value, previous) =>
+      events.push([key, value, previous])
+    );
+    state.update({ power: "Off", input: "HDMI1" });
+    state.update({ power: "On", input: "HDMI1" });
+    assert.deepStrictEqual(events, [
+      ["input", "HDMI1", undefined],
+      ["power", "On", "Off"],
+    ]);
+    assert.strictEqual(state.get("power"), "On");
+  });
+
+  it("emits an event named after the key", () => {
+    const state = new ProjectorState();
+    const values = [];
+    state.on("lensMemory", (value) => values.push(value));
+    state.update({ lensMemory: undefined });
+    state.update({ lensMemory: undefined });
+    state.update({ lensMemory: 3 });
+    assert.deepStrictEqual(values, [undefined, 3]);
+    assert.ok(state.has("lensMemory"));
+  });
+
+  it("compares plain objects by value", () => {
+    const state = new ProjectorState();
+    let count = 0;
+    state.on("signal", () => count++);
+    state.update({ signal: { signal: true, resolution: "1080p60" } });
+    state.update({ signal: { signal: true, resolution: "1080p60" } });
+    state.update({ signal: { signal: true, resolution: "4K(3840)24" } });
+    assert.strictEqual(count, 2);
+    assert.deepStrictEqual(state.toJSON(), {
+      signal: { signal: true, resolution: "4K(3840)24" },
+    });
+  });
+});
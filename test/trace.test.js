@@ -0,0 +1,113 @@
+"use strict";
+const assert = require("node:assert");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { afterEach, beforeEach, describe, it } = require("node:test");
+const Jvc = require("../jvc");
+const Trace = require("../trace");
+const Simulator = require("./simulator");
+
+const collect = async (iterable) => {
+  const items = [];
+  for await (const item of iterable) {
+    items.push(item);
+  }
+  return items;
+};
+
+describe("Trace", () => {
+  let simulator;
+  let dir;
+
+  beforeEach(async () => {
+    simulator = new Simulator({
+      password: "password1",
+      state: { PW: "1", INML: "2", PMBR: "FFFB" },
+    });
+    await simulator.listen();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "jvc-trace-"));
+  });
+
+  afterEach(async () => {
+    await simulator.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const capture = async (file, commands) => {
+    const trace = new Trace.TraceFile(file);
+    const jvc = new Jvc({
+      host: "127.0.0.1",
+      port: simulator.port,
+      password: "password1",
+      keepalive: 0,
+      trace: (record) => trace.write(record),
+    });
+    try {
+      await commands(jvc);
+    } finally {
+      jvc.disconnect();
+      await trace.close();
+    }
+  };
+
+  it("records frames and outcomes as JSONL", async () => {
+    const file = path.join(dir, "trace.jsonl");
+    await capture(file, (jvc) => jvc.getPower());
+    const records = await collect(Trace.readTrace(file));
+    const frames = records.filter((r) => r.command === "PW" && r.direction);
+    assert.deepStrictEqual(
+      frames.map(({ direction, bytes }) => [direction, bytes]),
+      [
+        ["tx", "3f 89 01 50 57 0a"],
+        ["rx", "06 89 01 50 57 0a"],
+        ["rx", "40 89 01 50 57 31 0a"],
+      ]
+    );
+    const outcome = records.find((r) => r.command === "PW" && r.outcome);
+    assert.strictEqual(outcome.outcome, "ok");
+    assert.strictEqual(typeof outcome.latency, "number");
+    assert.ok(records.every((r) => r.time && r.level && r.message));
+  });
+
+  it("leaves the password out", async () => {
+    const file = path.join(dir, "trace.jsonl");
+    await capture(file, (jvc) => jvc.getPower());
+    const text = fs.readFileSync(file, "utf8");
+    assert.ok(text.includes("PJREQ"));
+    assert.ok(!text.includes("password1"));
+    assert.ok(!text.includes(Buffer.from("password1").toString("hex")));
+  });
+
+  it("replays a trace through the decoder", async () => {
+    const file = path.join(dir, "trace.jsonl");
+    await capture(file, async (jvc) => {
+      await jvc.getPower();
+      await jvc.getLensMemory();
+      await jvc.getBrightness();
+      await jvc.setPower(false);
+    });
+    const results = await collect(Trace.replay(Trace.readTrace(file)));
+    assert.deepStrictEqual(
+      results.map(({ type, command, value }) => [type, command, value]),
+      [
+        ["!", "\"\\u0000\\u0000\"", undefined],
+        ["?", "\"PW\"", Jvc.Power.On],
+        ["?", "\"INML\"", 3],
+        ["?", "\"PMBR\"", -5],
+        ["!", "\"PW0\"", undefined],
+      ]
+    );
+  });
+
+  it("replays a truncated response as an error", async () => {
+    const records = [
+      { direction: "tx", command: "PW", bytes: "3f 89 01 50 57 0a" },
+      { direction: "rx", command: "PW", bytes: "06 89 01 50 57 0a" },
+      { direction: "rx", command: "PW", bytes: "40 89 01 50 57 31" },
+    ];
+    const [result] = await collect(Trace.replay(records));
+    assert.strictEqual(result.command, "\"PW\"");
+    assert.match(result.error, /Did not receive response/);
+  });
+});
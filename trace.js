@@ -0,0 +1,140 @@
+// trace.js
+// ~~~~~~~~
+// Protocol trace capture and replay, for offline bug reports.
+//
+// A trace is a JSONL file of the log records that Jvc reports to its trace
+// option (see Jvc._log()), one per line. The frames it sent and received
+// can be replayed through Jvc's decoder without a projector:
+//
+//   {"time":"...","level":"debug","message":">>> 3f 89 01 50 57 0a",
+//    "command":"PW","direction":"tx","bytes":"3f 89 01 50 57 0a"}
+//
+// The handshake's password is never written to a trace.
+
+"use strict";
+const fs = require("node:fs");
+const readline = require("node:readline");
+const Jvc = require("./jvc");
+
+const hex = (buf) => buf.toString("hex");
+
+// Appends records to a JSONL file. onError is called if it can't be written.
+class TraceFile {
+  #stream;
+
+  constructor(path, onError = () => undefined) {
+    this.path = path;
+    this.#stream = fs.createWriteStream(path, { flags: "a" });
+    this.#stream.on("error", onError);
+  }
+
+  write(record) {
+    this.#stream.write(`${JSON.stringify(record)}\n`);
+  }
+
+  close() {
+    return new Promise((resolve) => this.#stream.end(resolve));
+  }
+}
+
+// Yields the records of a JSONL trace file, skipping blank lines
+async function* readTrace(path) {
+  const lines = readline.createInterface({
+    input: fs.createReadStream(path),
+    crlfDelay: Infinity,
+  });
+  let number = 0;
+  for await (const line of lines) {
+    number++;
+    if (line.trim()) {
+      try {
+        yield JSON.parse(line);
+      } catch (e) {
+        throw new Error(`${path}:${number}: ${e.message}`, { cause: e });
+      }
+    }
+  }
+}
+
+// The known references, by code
+const REFERENCES = new Map(
+  Object.values(Jvc.Reference).map((command) => [command.code, command])
+);
+
+// The command that sent request (a Buffer), decoded as the known reference
+// with its code, if any, or else as a string of the response's length
+function commandFor(request, response) {
+  const type = request.toString("latin1", 0, 1);
+  const code = request.toString("latin1", 3, request.length - 1);
+  if (type === "!") {
+    return Jvc.operation(code);
+  }
+  return (
+    REFERENCES.get(code) ??
+    Jvc.reference(code, Math.max(response.length - 6, 1))
+  );
+}
+
+// Stands in for Jvc's connection, playing back the recorded responses
+class Playback {
+  #responses;
+
+  constructor(responses) {
+    this.#responses = responses;
+  }
+
+  async write() {}
+
+  async read() {
+    return this.#responses.shift();
+  }
+
+  setTimeout() {}
+}
+
+// Feeds the frames of each command in records (an iterable or async iterable
+// of trace records) through Jvc's decoder, yielding { time, type, command,
+// value } for each command, or { time, type, command, error } if it couldn't
+// be decoded. type is "!" for an operation and "?" for a reference.
+async function* replay(records) {
+  let exchange;
+  const finish = async () => {
+    const { time, request, responses } = exchange;
+    const type = request.toString("latin1", 0, 1);
+    exchange = undefined;
+    let command;
+    try {
+      command = commandFor(request, responses.at(-1) ?? Buffer.alloc(0));
+      const jvc = new Jvc();
+      jvc.sock = new Playback(responses);
+      const value = await jvc._exchange(command);
+      return { time, type, command: `${command}`, value };
+    } catch (e) {
+      return {
+        time,
+        type,
+        command: `${command ?? hex(request)}`,
+        error: e.message,
+      };
+    }
+  };
+  for await (const record of records) {
+    if (record.command === "handshake" || record.direction === undefined) {
+      continue;
+    }
+    const data = Buffer.from(record.bytes.replace(/ /g, ""), "hex");
+    if (record.direction === "tx") {
+      if (exchange !== undefined) {
+        yield await finish();
+      }
+      exchange = { time: record.time, request: data, responses: [] };
+    } else if (exchange !== undefined && data.length) {
+      exchange.responses.push(data);
+    }
+  }
+  if (exchange !== undefined) {
+    yield await finish();
+  }
+}
+
+module.exports = { TraceFile, readTrace, replay };
@@ -0,0 +1,107 @@
+// transport.js
+// ~~~~~~~~~~~~
+// Connections that carry the projector's command protocol.
+//
+// - "lan": TCP to the projector's LAN port (default 20554), which greets
+//   the client with PJ_OK and expects the PJREQ/PJACK handshake.
+// - "tcp-serial": TCP to a serial-over-IP gateway (e.g. a Global Caché)
+//   wired to the projector's RS-232 port.
+// - "serial": a local RS-232 serial port. Requires the optional serialport
+//   package.
+//
+// The RS-232 port uses the same !/?/@ command framing as the LAN port, but
+// without the handshake, at 19200 baud, 8 data bits, no parity, 1 stop bit.
+//
+// Each transport resolves to a PromiseDuplex (e.g. a PromiseSocket) that
+// also has setTimeout(ms): if no data arrives for ms milliseconds (0 for no
+// timeout), its stream is destroyed and pending reads reject with a
+// TimeoutError.
+
+"use strict";
+const { PromiseDuplex } = require("promise-duplex");
+const { PromiseSocket, TimeoutError } = require("promise-socket");
+
+const TRANSPORTS = ["lan", "tcp-serial", "serial"];
+
+// Whether the transport starts with the PJ_OK/PJREQ/PJACK handshake
+const hasHandshake = (transport) => transport === "lan";
+
+class PromiseSerialPort extends PromiseDuplex {
+  #timeout = 0;
+  #timer = null;
+
+  constructor(port) {
+    super(port);
+    port.on("data", () => this.#restartTimer());
+    port.once("close", () => clearTimeout(this.#timer));
+  }
+
+  setTimeout(ms) {
+    this.#timeout = ms;
+    this.#restartTimer();
+  }
+
+  #restartTimer() {
+    clearTimeout(this.#timer);
+    this.#timer = null;
+    if (this.#timeout) {
+      this.#timer = setTimeout(
+        () => this.stream.destroy(new TimeoutError()),
+        this.#timeout
+      );
+      this.#timer.unref();
+    }
+  }
+}
+
+async function connectTcp({ host, port, timeout }) {
+  const sock = new PromiseSocket();
+  sock.setTimeout(timeout);
+  try {
+    await sock.connect({ host, port });
+  } catch (e) {
+    sock.destroy();
+    throw e;
+  }
+  return sock;
+}
+
+// SerialPort is the serialport package's class, or a stand-in for tests
+async function connectSerial({ path, baudRate = 19200, timeout, SerialPort }) {
+  if (SerialPort === undefined) {
+    try {
+      ({ SerialPort } = require("serialport"));
+    } catch (e) {
+      throw new Error("The serial transport requires the serialport package", {
+        cause: e,
+      });
+    }
+  }
+  const port = new SerialPort({
+    path,
+    baudRate,
+    dataBits: 8,
+    parity: "none",
+    stopBits: 1,
+    autoOpen: false,
+  });
+  await new Promise((resolve, reject) => {
+    port.open((error) => (error ? reject(error) : resolve()));
+  });
+  const sock = new PromiseSerialPort(port);
+  sock.setTimeout(timeout);
+  return sock;
+}
+
+// Opens a connection using options.transport (default "lan"). The TCP
+// transports use host and port, the serial transport path and baudRate.
+async function connect({ transport = "lan", ...options }) {
+  if (!TRANSPORTS.includes(transport)) {
+    throw new Error(`Invalid transport: ${transport}`);
+  }
+  return transport === "serial"
+    ? await connectSerial(options)
+    : await connectTcp(options);
+}
+
+module.exports = { connect, hasHandshake, TRANSPORTS };